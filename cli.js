@@ -16,8 +16,10 @@ const TestRunner = require('./lib/test-runner');
 const PromptBuilder = require('./lib/prompt-builder');
 const ThemeManager = require('./lib/theme-manager');
 const UIUtils = require('./lib/ui-utils');
+const { getUserConfig } = require('./lib/user-config');
 
 // Initialize systems
+const userConfig = getUserConfig();
 const registry = getRegistry();
 const history = new ConversationHistory();
 const themeManager = new ThemeManager();
@@ -25,8 +27,39 @@ const ui = new UIUtils(themeManager);
 
 // Import templates from shared module
 const { enhancementModes, advancedFrameworks, enhancedModes } = require('./lib/templates');
-const { enhanceWithTemplate, getGroupedModes, modeExists } = require('./lib/template-utils');
+const { getAllTemplates, enhanceWithTemplate, getGroupedModes, modeExists } = require('./lib/template-utils');
+const { getTemplateLibrary, parseVariables } = require('./lib/template-library');
 const { analyzePrompt, formatSuggestion } = require('./lib/prompt-analyzer');
+const { getFormatter, getAllFormatters } = require('./lib/formatters');
+const { getPluginManager } = require('./lib/plugins');
+const { getRateLimiter } = require('./lib/providers/rate-limiter');
+const { getTokenizer } = require('./lib/tokenizers');
+const { getResponseCache } = require('./lib/response-cache');
+const { Recorder } = require('./lib/providers/recorder');
+const { CONTEXT_POLICIES, prepareInput, mapReduceEnhance, enhanceWithinContext } = require('./lib/context-window');
+const { TRANSFER_FORMATS, detectFormat, serializeInteractions, parseInteractions } = require('./lib/history-transfer');
+const { getProject, initProject, listTestSuites, listAssertionModules, resolveTestSuite } = require('./lib/project');
+
+/**
+ * Find a session by number, id or title, or exit with an error
+ * Without a reference, the active session is used
+ */
+function findSessionOrExit(ref) {
+  let session = null;
+  try {
+    session = ref ? history.findSession(ref) : (history.currentSession && history.findSession(history.currentSession));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  
+  if (!session) {
+    console.error(chalk.red(ref ? `❌ Session '${ref}' not found` : '❌ No active session'));
+    console.error(chalk.yellow(ref ? '💡 Run "enhance session list" to see sessions' : '💡 Start one with "enhance session new [title]"'));
+    process.exit(1);
+  }
+  return session;
+}
 
 // Enhancement options processor
 function applyEnhancements(prompt, options) {
@@ -74,6 +107,61 @@ Think through this step-by-step, showing your work at each stage.`;
   return enhanced;
 }
 
+// Describe a provider retry/fallback event for stderr
+function describeFallbackEvent(event) {
+  switch (event.type) {
+    case 'retry':
+      return `↻ ${event.provider} failed (${event.error}), retrying in ${event.delay}ms (attempt ${event.attempt + 1})`;
+    case 'fallback':
+      return `↪ Falling back to ${event.provider}`;
+    case 'skip':
+      return `⏭ Skipping ${event.provider} (circuit open, retry in ${Math.ceil(event.cooldownRemaining / 1000)}s)`;
+    case 'failure':
+      return `✗ ${event.provider} failed: ${event.error}${event.circuitOpen ? ' (circuit opened)' : ''}`;
+    default:
+      return `${event.type}: ${event.provider}`;
+  }
+}
+
+// History fields for a provider call's result; template enhancements have none
+function resultDetails(result) {
+  if (!result) {
+    return { provider: 'template' };
+  }
+  
+  return {
+    provider: result.provider,
+    model: result.model,
+    tokensUsed: result.usage.totalTokens,
+    promptTokens: result.usage.promptTokens,
+    completionTokens: result.usage.completionTokens,
+    cached: result.cached,
+    responseTime: result.latency,
+    metadata: { estimatedTokens: result.usage.estimated, fallback: result.fallback }
+  };
+}
+
+// Describe a context-window event for stderr
+function describeContextEvent(event) {
+  const size = `${event.tokens} tokens, ${event.model} fits ${event.contextLength}`;
+  switch (event.type) {
+    case 'warn':
+      return `⚠️  Prompt exceeds the context window (${size}); the provider may cut it off`;
+    case 'truncate':
+      return `✂️  Prompt truncated to ${event.budget} tokens (${size})`;
+    case 'chunk':
+      return `🧩 Prompt split into ${event.chunks} chunks (${size})`;
+    case 'map':
+      return `   Enhancing chunk ${event.index}/${event.total}...`;
+    case 'reduce':
+      return `   Merging ${event.sections} enhanced chunks...`;
+    case 'unmerged':
+      return `⚠️  ${event.sections} enhanced chunks are too long to merge; they are returned one after another`;
+    default:
+      return `${event.type}: ${event.provider}`;
+  }
+}
+
 // Interactive mode with provider selection
 async function interactiveMode() {
   const theme = themeManager.getTheme();
@@ -184,6 +272,7 @@ async function interactiveMode() {
   
   try {
     let enhanced;
+    let result = null;
     const provider = registry.getProvider(answers.provider);
     
     if (answers.useAI) {
@@ -192,7 +281,8 @@ async function interactiveMode() {
       if (answers.model) {
         options.model = answers.model;
       }
-      enhanced = await provider.enhance(answers.prompt, answers.mode, options);
+      result = await provider.enhance(answers.prompt, answers.mode, options);
+      enhanced = result.text;
     } else {
       // Use template enhancement
       enhanced = enhanceWithTemplate(answers.prompt, answers.mode);
@@ -210,8 +300,8 @@ async function interactiveMode() {
     // Save to history
     await history.saveInteraction(answers.prompt, enhanced, {
       mode: answers.mode,
-      provider: answers.provider,
-      useAI: answers.useAI
+      useAI: answers.useAI,
+      ...resultDetails(result)
     });
     
     // Offer actions with enhanced UI
@@ -260,7 +350,8 @@ async function interactiveMode() {
 program
   .name('enhance')
   .description('CLI tool for enhancing prompts with multiple LLM providers')
-  .version('3.0.0');
+  .version('3.0.0')
+  .enablePositionalOptions(); // Options after a subcommand belong to it
 
 program
   .argument('[prompt]', 'prompt to enhance')
@@ -268,7 +359,8 @@ program
   .option('-p, --provider <provider>', 'LLM provider (ollama, huggingface, etc.)')
   .option('-f, --file <path>', 'read prompt from file')
   .option('-o, --output <path>', 'write to file instead of stdout')
-  .option('-t, --template <path>', 'use custom template file')
+  .option('-t, --template <path>', 'enhance with a template file (Markdown or YAML with front matter)')
+  .option('--var <name=value>', 'set a template variable (repeat for lists)', (value, previous) => previous.concat(value), [])
   .option('-c, --clipboard', 'copy result to clipboard')
   .option('--no-color', 'disable colored output')
   .option('-e, --examples', 'add examples section')
@@ -288,9 +380,9 @@ program
   .option('--clear-cache', 'clear all caches')
   .option('--show-health', 'check provider health')
   .option('--compare', 'compare outputs across providers')
-  .option('--continue', 'continue last conversation')
+  .option('--continue [session]', 'continue a session (default: the active or most recent one)')
   .option('--history', 'show conversation history')
-  .option('--test <file>', 'run prompt tests')
+  .option('--test [file]', 'run prompt tests (default: every suite in .enhance/tests)')
   .option('--build', 'interactive prompt builder')
   .option('--framework <name>', 'use advanced framework (SPEAR, COAST, RTF)')
   .option('--stream', 'stream output in real-time')
@@ -299,8 +391,30 @@ program
   .option('--quickstart', 'quick 2-minute introduction to the tool')
   .option('--wizard', 'guided step-by-step mode selection')
   .option('--examples', 'show example workflows and outputs')
+  .option('--format <name>', 'output format (text, markdown, json, or a plugin formatter)')
+  .option('--json', 'output result as JSON (same as --format json)')
+  .option('--context-policy <policy>', `handling of prompts longer than the model's context window (${CONTEXT_POLICIES.join(', ')})`)
+  .option('--record <dir>', 'save provider requests and responses as fixtures')
+  .option('--replay <dir>', 'answer provider requests from recorded fixtures (no network)')
   .action(async (prompt, options) => {
     try {
+      // Record/replay wraps every provider before anything calls them
+      if (options.record && options.replay) {
+        console.error(chalk.red('❌ Use either --record or --replay, not both'));
+        process.exit(1);
+      }
+      if (options.record || options.replay) {
+        const recorder = options.record
+          ? new Recorder('record', options.record)
+          : new Recorder('replay', options.replay);
+        registry.useRecorder(recorder);
+        
+        process.once('exit', () => {
+          const count = recorder.mode === 'record' ? recorder.recorded : recorder.replayed;
+          console.error(chalk.gray(`📼 ${count} provider call(s) ${recorder.mode}ed ${recorder.mode === 'record' ? 'to' : 'from'} ${recorder.dir}`));
+        });
+      }
+      
       // Initialize theme
       await themeManager.initialize();
       const theme = themeManager.getTheme();
@@ -325,31 +439,41 @@ program
       
       // Show statistics
       if (options.showStats || options.stats) {
+        // Provider usage as recorded in history, across all runs
+        const historyStats = await history.getStats();
         const stats = registry.getUsageStats();
         console.log(chalk.cyan.bold('\n📊 Usage Statistics\n'));
         
-        for (const [provider, providerStats] of Object.entries(stats)) {
-          console.log(chalk.yellow.bold(`${provider}:`));
-          console.log(`  Requests: ${providerStats.requests}`);
+        for (const providerStats of historyStats.providers) {
+          const cache = stats[providerStats.provider]?.cache;
+          console.log(chalk.yellow.bold(`${providerStats.provider}:`));
+          console.log(`  Requests: ${providerStats.requests}${providerStats.cacheHits ? ` (${providerStats.cacheHits} from cache)` : ''}`);
           console.log(`  Tokens: ${providerStats.tokens}`);
-          if (providerStats.cache) {
-            console.log(`  Cache: ${providerStats.cache.size} entries, ${providerStats.cache.hitRate} hit rate`);
+          if (providerStats.avgResponseTime) {
+            console.log(`  Avg response: ${providerStats.avgResponseTime}ms`);
+          }
+          if (cache) {
+            console.log(`  Cache: ${cache.size} entries, ${cache.hitRate} hit rate`);
+          }
+          for (const modelStats of historyStats.models.filter(entry => entry.provider === providerStats.provider)) {
+            console.log(chalk.gray(`    ${modelStats.model}: ${modelStats.requests} requests, ${modelStats.tokens} tokens, ${modelStats.avgResponseTime}ms avg`));
           }
           console.log();
         }
         
         // Show history stats
-        const historyStats = await history.getStats();
         console.log(chalk.yellow.bold('Conversation History:'));
         console.log(`  Total interactions: ${historyStats.total}`);
         console.log(`  Unique prompts: ${historyStats.unique}`);
         console.log(`  Most used mode: ${historyStats.mostUsedMode}`);
+        console.log(`  Tokens: ${historyStats.tokens.total} (${historyStats.tokens.prompt} prompt, ${historyStats.tokens.completion} completion)`);
         
         return;
       }
       
       // Clear cache
       if (options.clearCache) {
+        getResponseCache().clear();
         const providers = registry.listProviders();
         for (const provider of providers) {
           const instance = registry.getProvider(provider.name);
@@ -362,17 +486,34 @@ program
         return;
       }
       
-      // Continue last conversation
+      // Continue a session, or the last interaction when there are no sessions
+      let continuedFrom = null;
       if (options.continue) {
-        const last = await history.getLastInteraction();
-        if (!last) {
-          console.log(chalk.yellow('No previous conversation found'));
-          return;
+        const session = options.continue === true
+          ? (history.currentSession ? history.findSession(history.currentSession) : history.listSessions()[0])
+          : findSessionOrExit(options.continue);
+        
+        let last;
+        if (session) {
+          history.setActiveSession(session.session_id);
+          const interactions = history.getSessionInteractions(session.session_id);
+          last = interactions[interactions.length - 1] || null;
+          console.log(chalk.cyan(`Continuing session #${session.id} "${session.title}" (${interactions.length} interactions)`));
+        } else {
+          last = await history.getLastInteraction();
+          if (!last) {
+            console.log(chalk.yellow('No previous conversation found'));
+            return;
+          }
+          console.log(chalk.cyan('Continuing from last interaction...'));
         }
         
-        console.log(chalk.cyan('Continuing from last interaction...'));
-        console.log(chalk.gray(`Mode: ${last.mode}, Provider: ${last.provider}`));
-        prompt = last.enhanced; // Use last enhanced prompt as starting point
+        // Without a new prompt, start from the last enhanced prompt
+        if (last && !prompt && !options.file) {
+          console.log(chalk.gray(`Mode: ${last.mode}, Provider: ${last.provider}`));
+          prompt = last.enhanced;
+          continuedFrom = last;
+        }
       }
       
       // Show history
@@ -398,8 +539,36 @@ program
       
       // Run tests
       if (options.test) {
-        const runner = new TestRunner(registry);
-        await runner.runTests(options.test);
+        const project = getProject();
+        const suites = options.test === true
+          ? (project ? listTestSuites(project) : [])
+          : [resolveTestSuite(options.test, project)];
+        
+        if (suites.length === 0) {
+          console.error(chalk.red(project
+            ? `❌ No test suites in ${path.relative(process.cwd(), project.tests) || '.'}`
+            : '❌ Not inside a project. Use --test <file> or run "enhance project init"'));
+          process.exit(1);
+        }
+        
+        let failedSuites = 0;
+        for (const suite of suites) {
+          if (suites.length > 1) {
+            console.log(chalk.cyan(`\n📄 ${path.relative(process.cwd(), suite)}`));
+          }
+          // Fresh runner per suite so each summary counts only its own tests
+          const runner = new TestRunner(registry);
+          failedSuites += await runner.runTests(suite);
+        }
+        
+        if (suites.length > 1) {
+          console.log(failedSuites > 0
+            ? chalk.red.bold(`\n❌ ${failedSuites} of ${suites.length} suites failed`)
+            : chalk.green.bold(`\n✅ All ${suites.length} suites passed`));
+        }
+        if (failedSuites > 0) {
+          process.exitCode = 1;
+        }
         return;
       }
       
@@ -518,6 +687,24 @@ program
           console.log(`  ${chalk.blue(framework.key.padEnd(12))} - ${framework.description}`);
         });
         
+        if (modes.plugins.length > 0) {
+          console.log(chalk.cyan.bold('\n🔌 Plugin Modes:\n'));
+          modes.plugins.forEach(mode => {
+            console.log(`  ${chalk.magenta(mode.key.padEnd(15))} - ${mode.description}`);
+          });
+        }
+        
+        const templateErrors = getTemplateLibrary().errors;
+        if (modes.templates.length > 0 || templateErrors.length > 0) {
+          console.log(chalk.cyan.bold('\n📄 Template Modes:\n'));
+          modes.templates.forEach(mode => {
+            console.log(`  ${chalk.blue(mode.key.padEnd(15))} - ${mode.description}`);
+          });
+          templateErrors.forEach(({ file, error }) => {
+            console.log(chalk.yellow(`  ⚠️  Skipped ${error}`) + chalk.gray(` (${path.dirname(file)})`));
+          });
+        }
+        
         console.log(chalk.cyan.bold('\nAvailable Providers:\n'));
         const providers = registry.listProviders();
         
@@ -637,8 +824,8 @@ program
         process.exit(1);
       }
       
-      // Security: Limit input size
-      const MAX_PROMPT_LENGTH = 50000;
+      // Optional hard limit; long prompts are otherwise fitted to the model's context window
+      const MAX_PROMPT_LENGTH = Number(process.env.MAX_PROMPT_LENGTH) || Infinity;
       if (input.length > MAX_PROMPT_LENGTH) {
         console.error(chalk.red(`❌ Prompt too long: ${input.length} characters`));
         console.error(chalk.yellow(`💡 Maximum allowed: ${MAX_PROMPT_LENGTH} characters`));
@@ -654,8 +841,10 @@ program
         for (const [provider, result] of Object.entries(results)) {
           console.log(chalk.yellow.bold(`${provider}:`));
           if (result.success) {
+            const approximate = result.usage.estimated ? '~' : '';
+            console.log(`  Model: ${result.model}`);
             console.log(`  Time: ${result.time}ms`);
-            console.log(`  Tokens: ~${result.tokens}`);
+            console.log(`  Tokens: ${approximate}${result.usage.promptTokens} in, ${approximate}${result.usage.completionTokens} out`);
             console.log(`  Response: ${result.response.substring(0, 100)}...`);
           } else {
             console.log(`  Error: ${chalk.red(result.error)}`);
@@ -665,8 +854,12 @@ program
         return;
       }
       
-      // Smart mode detection (unless explicitly specified)
-      let mode = options.mode;
+      // A template file is its own mode; bad --var values fail before any work
+      const templateMode = options.template ? getTemplateLibrary().loadFile(options.template) : null;
+      const templateContext = { variables: parseVariables(options.var) };
+      
+      // Smart mode detection (unless explicitly specified or saved as default)
+      let mode = templateMode ? templateMode.key : (options.mode || userConfig.get('defaultMode'));
       let showSuggestion = false;
       
       if (!mode) {
@@ -674,103 +867,178 @@ program
         mode = analysis.suggestedMode;
         showSuggestion = true;
         
-        console.log(chalk.cyan('\n🧠 Smart Mode Detection:'));
-        console.log(formatSuggestion(analysis));
-        console.log(chalk.gray('   (Using suggested mode - specify --mode to override)\n'));
+        // Keep JSON output machine-readable
+        if (!options.json && options.format !== 'json') {
+          console.log(chalk.cyan('\n🧠 Smart Mode Detection:'));
+          console.log(formatSuggestion(analysis));
+          console.log(chalk.gray('   (Using suggested mode - specify --mode to override)\n'));
+        }
       } else if (mode === 'balanced') {
         // Migrate old default to new default
         mode = 'standard';
       }
       
       // Check if using advanced framework
-      if (options.framework) {
+      if (options.framework && !templateMode) {
         mode = options.framework.toUpperCase();
         showSuggestion = false; // Don't show suggestion when framework is explicit
       }
       
-      // Determine if AI should be used
-      const useAI = options.useAi !== false && options.ai !== false;
+      // Determine if AI should be used (explicit flags win over saved preference)
+      // Template files are rendered locally
+      const useAI = templateMode
+        ? false
+        : options.useAi
+          ? true
+          : program.getOptionValueSource('ai') === 'cli'
+            ? options.ai !== false
+            : userConfig.get('useAI') !== false;
+      
+      if (!options.model && userConfig.get('defaultModel')) {
+        options.model = userConfig.get('defaultModel');
+      }
+      
+      // Fail fast on an unknown output format
+      if (options.json && !options.format) {
+        options.format = 'json';
+      }
+      const formatter = options.format ? getFormatter(options.format) : null;
+      const jsonOutput = options.format === 'json';
       
       // Apply enhancement
       let enhanced;
+      let result = null; // Provider call details, null for template enhancement
+      let streamed = null; // Text already written to stdout while streaming
+      const fallbackEvents = [];
+      
+      // Report retries and fallbacks on stderr so stdout stays clean
+      const onEvent = (event) => {
+        fallbackEvents.push(event);
+        if (event.type !== 'success' && !jsonOutput) {
+          console.error(chalk.gray(describeFallbackEvent(event)));
+        }
+      };
+      
+      // Long prompts are warned about, truncated or chunked per policy
+      const contextPolicy = options.contextPolicy || userConfig.get('contextPolicy');
+      if (!CONTEXT_POLICIES.includes(contextPolicy)) {
+        throw new Error(`Unknown context policy '${contextPolicy}'. Use one of: ${CONTEXT_POLICIES.join(', ')}`);
+      }
+      const onContextEvent = (event) => {
+        if (!jsonOutput) {
+          console.error(chalk.gray(describeContextEvent(event)));
+        }
+      };
+      const enhanceOptions = { ...options, contextPolicy, onContextEvent };
+      
+      getRateLimiter().on('wait', (event) => {
+        if (!jsonOutput) {
+          console.error(chalk.gray(`⏳ Rate limit reached for ${event.key} (${event.reason}), waiting ${Math.ceil(event.delay / 1000)}s`));
+        }
+      });
       
       if (useAI) {
         const spinner = ora('Enhancing with AI...').start();
         
         try {
-          // Use HuggingFace as default if no provider specified and Ollama is not available
-          let provider;
-          if (options.provider) {
-            provider = registry.getProvider(options.provider);
-          } else {
-            // Check if default provider is healthy
-            const health = await registry.checkHealth();
-            const defaultName = registry.defaultProvider;
-            if (health[defaultName]?.status === 'healthy') {
-              provider = registry.getProvider();
-            } else {
-              // Find first healthy provider
-              for (const [name, status] of Object.entries(health)) {
-                if (status.status === 'healthy') {
-                  provider = registry.getProvider(name);
-                  console.log(chalk.yellow(`Using ${name} provider (default unavailable)`));
-                  break;
-                }
-              }
-              if (!provider) {
-                throw new Error('No healthy providers available');
-              }
-            }
-          }
-          
           // Handle streaming if requested
-          if (options.stream && provider.streamCompletion) {
+          if (options.stream) {
             spinner.stop();
-            console.log(chalk.yellow('Streaming response...\n'));
+            // Don't echo to stdout when the result goes to a file or gets formatted
+            const echo = !options.output && !options.format;
+            if (echo) {
+              console.log(chalk.yellow('Streaming response...\n'));
+            }
             
-            for await (const chunk of provider.streamCompletion(input, options)) {
-              process.stdout.write(chunk);
+            result = await registry.executeWithFallback(async provider => {
+              const prepared = await prepareInput(provider, input, mode, enhanceOptions);
+              
+              // Chunked inputs are merged before anything can be shown
+              if (prepared.chunks) {
+                const merged = await mapReduceEnhance(provider, prepared.chunks, mode, prepared, enhanceOptions);
+                if (echo) {
+                  process.stdout.write(merged.text);
+                }
+                return merged;
+              }
+              
+              // Iterate by hand to keep the stream's call details
+              const stream = provider.streamEnhance(prepared.input, mode, prepared.options);
+              let written = false;
+              let step;
+              try {
+                while (!(step = await stream.next()).done) {
+                  if (echo) {
+                    process.stdout.write(step.value);
+                    written = true;
+                  }
+                }
+              } catch (error) {
+                // A retry or fallback would start over after the text already shown
+                if (written) {
+                  error.message = `Stream interrupted: ${error.message}`;
+                  error.fatal = true;
+                }
+                throw error;
+              }
+              return step.value;
+            }, { provider: options.provider, fallback: !options.provider, onEvent });
+            enhanced = streamed = result.text;
+            if (echo) {
+              console.log('\n');
             }
-            console.log('\n');
-            return;
+          } else {
+            result = await registry.executeWithFallback(
+              provider => enhanceWithinContext(provider, input, mode, enhanceOptions),
+              { provider: options.provider, fallback: !options.provider, onEvent }
+            );
+            enhanced = result.text;
+            spinner.succeed(`AI enhancement complete! (${result.provider}${result.model ? `, ${result.model}` : ''}${result.cached ? ', cached' : ''})`);
           }
-          
-          enhanced = await provider.enhance(input, mode, options);
-          spinner.succeed('AI enhancement complete!');
         } catch (error) {
+          if (error.fatal) {
+            spinner.fail('AI enhancement failed');
+            throw error;
+          }
           spinner.fail(`AI enhancement failed: ${error.message}`);
-          
-          // Try fallback
-          if (!options.provider) {
-            try {
-              console.log(chalk.yellow('Trying fallback provider...'));
-              enhanced = await registry.executeWithFallback(
-                provider => provider.enhance(input, mode, options)
-              );
-            } catch (fallbackError) {
-              console.log(chalk.yellow('All AI providers failed. Using template enhancement...'));
-              enhanced = enhanceWithTemplate(input, mode);
-            }
-          } else {
-            // Use template as fallback
-            enhanced = enhanceWithTemplate(input, mode);
+          if (!jsonOutput) {
+            console.error(chalk.yellow('Using template enhancement...'));
           }
+          enhanced = enhanceWithTemplate(input, mode, templateContext);
         }
       } else {
         // Use template enhancement
-        enhanced = enhanceWithTemplate(input, mode);
+        enhanced = templateMode
+          ? templateMode.enhance(input, templateContext)
+          : enhanceWithTemplate(input, mode, templateContext);
       }
       
       // Apply additional options
       enhanced = applyEnhancements(enhanced, options);
       
-      // Save to history
+      // Save to history, as a new version when continuing from one
       await history.saveInteraction(input, enhanced, {
         mode,
-        provider: options.provider || 'template',
-        useAI
+        useAI,
+        parentId: continuedFrom?.id,
+        ...resultDetails(result)
       });
       
+      // Format output
+      const output = formatter
+        ? formatter(enhanced, {
+          input,
+          mode,
+          provider: result?.provider || 'template',
+          model: result?.model || null,
+          usage: result?.usage || null,
+          latency: result?.latency ?? null,
+          cached: result?.cached || false,
+          useAI,
+          fallback: fallbackEvents
+        })
+        : enhanced;
+      
       // Output
       if (options.output) {
         try {
@@ -783,7 +1051,7 @@ program
             process.exit(1);
           }
           
-          await fs.writeFile(outputPath, enhanced);
+          await fs.writeFile(outputPath, output);
           console.log(chalk.green(`✅ Enhanced prompt saved to ${options.output}`));
         } catch (err) {
           const safeMessage = err.code === 'ENOENT' ? 'Directory not found' : 
@@ -792,7 +1060,10 @@ program
           console.error(chalk.red(`Error writing file: ${safeMessage}`));
           process.exit(1);
         }
-      } else {
+      } else if (formatter) {
+        console.log(output);
+      } else if (enhanced !== streamed) {
+        // Skip reprinting a streamed result unless post-processing changed it
         if (!options.noColor) {
           console.log(chalk.green.bold('\n✨ Enhanced Prompt:\n'));
         }
@@ -802,14 +1073,19 @@ program
       // Copy to clipboard if requested
       if (options.clipboard) {
         try {
-          await clipboardy.write(enhanced);
+          await clipboardy.write(output);
           console.log(chalk.cyan('\n📋 Copied to clipboard!'));
         } catch (err) {
           console.error(chalk.yellow('⚠️  Could not copy to clipboard'));
         }
       }
     } catch (error) {
-      if (error.message.includes('ECONNREFUSED')) {
+      if (error.code === 'EREPLAYMISS') {
+        console.error(chalk.red(`❌ ${error.message}`));
+        console.error(chalk.yellow('💡 Re-record fixtures with --record <dir> if the request changed on purpose'));
+      } else if (error.code === 'ETEMPLATE') {
+        console.error(chalk.red(`❌ ${error.message}`));
+      } else if (error.message.includes('ECONNREFUSED')) {
         console.error(chalk.red('❌ Connection failed: Cannot reach AI provider'));
         console.error(chalk.yellow('💡 Check your network connection and provider status'));
         console.error(chalk.yellow('💡 Try: enhance --show-health to diagnose issues'));
@@ -841,7 +1117,7 @@ program
     await dashboard.show();
   });
 
-program
+const providersCommand = program
   .command('providers')
   .description('Manage LLM providers')
   .action(async () => {
@@ -876,6 +1152,7 @@ program
           }
         ]);
         registry.setDefaultProvider(provider);
+        await userConfig.set('defaultProvider', provider);
         console.log(chalk.green(`✅ Default provider set to ${provider}`));
         break;
       case 'View provider details':
@@ -887,6 +1164,893 @@ program
     }
   });
 
+providersCommand
+  .command('validate [file]')
+  .description('Validate the provider configuration file (providers.yaml)')
+  .action(async (file) => {
+    const { loadProviderConfig, getProviderConfigPath } = require('./lib/providers/provider-config');
+    const { providerTypes } = require('./lib/providers/registry');
+    const configPath = file ? path.resolve(file) : getProviderConfigPath();
+    const result = loadProviderConfig(Object.keys(providerTypes), configPath);
+    
+    if (!result) {
+      console.log(chalk.yellow(`No provider configuration found at ${configPath}`));
+      console.log(chalk.gray('Built-in providers will be used with environment variable settings.'));
+      return;
+    }
+    
+    console.log(chalk.cyan.bold(`\n🔍 Validating ${result.path}\n`));
+    
+    result.providers.forEach(provider => {
+      const isDefault = provider.name === result.defaultProvider ? chalk.gray(' (default)') : '';
+      const baseUrl = provider.settings.baseUrl ? chalk.gray(` ${provider.settings.baseUrl}`) : '';
+      console.log(`  ${chalk.green('✓')} ${chalk.cyan(provider.name.padEnd(15))} ${provider.type}${baseUrl}${isDefault}`);
+    });
+    
+    if (result.warnings.length > 0) {
+      console.log(chalk.yellow.bold('\nWarnings:'));
+      result.warnings.forEach(warning => console.log(chalk.yellow(`  ⚠️  ${warning}`)));
+    }
+    
+    if (result.errors.length > 0) {
+      console.log(chalk.red.bold('\nErrors:'));
+      result.errors.forEach(error => console.log(chalk.red(`  ❌ ${error}`)));
+      process.exit(1);
+    }
+    
+    console.log(chalk.green(`\n✅ ${result.providers.length} provider(s) configured correctly`));
+  });
+
+const pluginsCommand = program
+  .command('plugins')
+  .description('Manage plugins');
+
+pluginsCommand
+  .command('list')
+  .description('List discovered plugins and what they contribute')
+  .action(() => {
+    const manager = getPluginManager();
+    const { PLUGIN_API_VERSION } = require('./lib/plugins');
+    
+    console.log(chalk.cyan.bold(`\n🔌 Plugins (API version ${PLUGIN_API_VERSION})\n`));
+    
+    if (process.env.ENABLE_PLUGINS === 'false') {
+      console.log(chalk.yellow('Plugins are disabled (ENABLE_PLUGINS=false)'));
+      return;
+    }
+    
+    if (manager.plugins.length === 0) {
+      console.log(chalk.gray('No plugins found.'));
+      console.log(chalk.gray(`Install packages named claude-enhancer-plugin-* or add plugins to ${manager.pluginDir}`));
+      return;
+    }
+    
+    for (const plugin of manager.plugins) {
+      const icon = plugin.status === 'loaded' ? '✅' : '❌';
+      const version = plugin.version ? chalk.gray(`@${plugin.version}`) : '';
+      console.log(`${icon} ${chalk.green(plugin.name)}${version} ${chalk.gray(`(${plugin.source})`)}`);
+      console.log(chalk.gray(`   ${plugin.path}`));
+      
+      if (plugin.error) {
+        console.log(`   ${chalk.red(plugin.error)}`);
+        continue;
+      }
+      
+      for (const [kind, names] of Object.entries(plugin.contributes)) {
+        if (names.length > 0) {
+          console.log(`   ${kind.padEnd(11)} ${names.join(', ')}`);
+        }
+      }
+    }
+    
+    console.log(chalk.gray(`\nOutput formats: ${Object.keys(getAllFormatters()).join(', ')}`));
+  });
+
+program
+  .command('refine <instruction...>')
+  .description('Revise the latest enhanced prompt with an instruction, e.g. "make it shorter"')
+  .option('--from <id>', 'interaction to refine (default: the current version)')
+  .option('-p, --provider <provider>', 'AI provider to use')
+  .option('--model <model>', 'model to use')
+  .option('--turns <n>', 'earlier versions to send as chat history', '10')
+  .option('--json', 'output the revision as JSON')
+  .action(async (words, options) => {
+    const instruction = words.join(' ');
+    
+    try {
+      const baseId = options.from ? Number(options.from) : history.getHead();
+      const base = baseId ? await history.getInteraction(baseId) : null;
+      if (!base) {
+        throw new Error(options.from ? `Interaction ${options.from} not found` : 'Nothing to refine yet. Enhance a prompt first');
+      }
+      
+      // Earlier versions become chat turns; the first asks for the original enhancement
+      const turns = await history.getContext(Math.max(1, Number(options.turns) || 1), base.id);
+      const messages = turns.flatMap(turn => [
+        { role: 'user', content: turn.parentId ? turn.prompt : `Enhance this prompt:\n\n${turn.prompt}` },
+        { role: 'assistant', content: turn.response }
+      ]);
+      
+      const onEvent = (event) => {
+        if (event.type !== 'success' && !options.json) {
+          console.error(chalk.gray(describeFallbackEvent(event)));
+        }
+      };
+      
+      const model = options.model || userConfig.get('defaultModel');
+      const spinner = options.json ? null : ora(`Refining #${base.id}...`).start();
+      let result;
+      try {
+        result = await registry.executeWithFallback(
+          provider => provider.refine(instruction, messages, base.mode, { model }),
+          { provider: options.provider, fallback: !options.provider, onEvent }
+        );
+      } catch (error) {
+        if (spinner) spinner.fail('Refinement failed');
+        throw error;
+      }
+      
+      const details = resultDetails(result);
+      const id = await history.saveInteraction(instruction, result.text, {
+        mode: base.mode,
+        useAI: true,
+        parentId: base.id,
+        ...details,
+        metadata: { ...details.metadata, refinement: true }
+      });
+      
+      if (options.json) {
+        console.log(JSON.stringify({
+          id,
+          parentId: base.id,
+          instruction,
+          mode: base.mode,
+          provider: result.provider,
+          model: result.model,
+          usage: result.usage,
+          latency: result.latency,
+          revised: result.text
+        }, null, 2));
+        return;
+      }
+      
+      spinner.succeed(`Saved revision #${id} of #${base.id} (${result.provider}${result.model ? `, ${result.model}` : ''})`);
+      console.log(chalk.green.bold('\n✨ Revised Prompt:\n'));
+      console.log(result.text);
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+const historyCommand = program
+  .command('history')
+  .description('Browse, search, export and import prompt history');
+
+/**
+ * Load an interaction by id, or exit with an error
+ * Without an id, the current version is used
+ */
+async function getInteractionOrExit(id) {
+  const interactionId = id ? Number(id) : history.getHead();
+  const interaction = interactionId ? await history.getInteraction(interactionId) : null;
+  
+  if (!interaction) {
+    console.error(chalk.red(id ? `❌ Interaction ${id} not found` : '❌ No interactions yet'));
+    process.exit(1);
+  }
+  return interaction;
+}
+
+historyCommand
+  .command('search <query>')
+  .description('Full-text search over prompts ("exact phrase", prefix*, AND/OR/NOT)')
+  .option('-m, --mode <mode>', 'only interactions in this mode')
+  .option('-p, --provider <provider>', 'only interactions from this provider')
+  .option('--model <model>', 'only interactions using this model')
+  .option('--since <date>', 'only interactions on or after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'only interactions on or before this date (YYYY-MM-DD)')
+  .option('-n, --limit <n>', 'maximum number of results', '20')
+  .option('--json', 'output results as JSON')
+  .action(async (query, options) => {
+    try {
+      // Highlight matches in color, or with brackets when colors are off
+      const highlight = chalk.level > 0 ? chalk.bold.yellow('\0').split('\0') : ['[', ']'];
+      const results = await history.search(query, {
+        limit: Number(options.limit) || 20,
+        mode: options.mode,
+        provider: options.provider,
+        model: options.model,
+        since: options.since,
+        until: options.until,
+        highlight: options.json ? ['', ''] : highlight
+      });
+      
+      if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+        return;
+      }
+      
+      if (results.length === 0) {
+        console.log(chalk.yellow(`No interactions match "${query}"`));
+        return;
+      }
+      
+      const oneLine = (text) => text.replace(/\s+/g, ' ').trim();
+      
+      console.log(chalk.cyan.bold(`\n🔍 ${results.length} result${results.length === 1 ? '' : 's'} for "${query}"\n`));
+      for (const result of results) {
+        console.log(chalk.yellow(`[#${result.id}] ${new Date(result.timestamp).toLocaleString()}`) + chalk.gray(`  ${result.mode}, ${result.provider}${result.model ? `, ${result.model}` : ''}`));
+        console.log(`  Prompt:   ${oneLine(result.snippets.prompt)}`);
+        console.log(`  Enhanced: ${oneLine(result.snippets.enhanced)}`);
+        console.log();
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+historyCommand
+  .command('tree [id]')
+  .description('Show the version tree an interaction belongs to (default: the current version)')
+  .action(async (id) => {
+    const interaction = await getInteractionOrExit(id);
+    const root = history.getVersionTree(interaction.id);
+    const head = history.getHead();
+    
+    const label = (node) => {
+      const text = node.prompt.replace(/\s+/g, ' ').trim();
+      const summary = text.length > 60 ? `${text.substring(0, 60)}...` : text;
+      const current = node.id === head ? chalk.green(' ← current') : '';
+      const name = node.id === interaction.id ? chalk.cyan.bold(`#${node.id}`) : chalk.yellow(`#${node.id}`);
+      return `${name} ${summary} ${chalk.gray(`(${node.mode}, ${node.provider})`)}${current}`;
+    };
+    
+    const print = (node, prefix, isLast) => {
+      console.log(`${prefix}${isLast ? '└─ ' : '├─ '}${label(node)}`);
+      node.children.forEach((child, index) => {
+        print(child, prefix + (isLast ? '   ' : '│  '), index === node.children.length - 1);
+      });
+    };
+    
+    console.log(chalk.cyan.bold('\n🌳 Version Tree\n'));
+    console.log(label(root));
+    root.children.forEach((child, index) => print(child, '', index === root.children.length - 1));
+    console.log();
+  });
+
+historyCommand
+  .command('diff <a> [b]')
+  .description('Word-level diff between two versions (default b: the current version)')
+  .action(async (a, b) => {
+    await themeManager.initialize();
+    const older = await getInteractionOrExit(a);
+    const newer = await getInteractionOrExit(b);
+    
+    ui.displayDiff(older.enhanced, newer.enhanced, {
+      old: `#${older.id} ${new Date(older.timestamp).toLocaleString()}`,
+      new: `#${newer.id} ${new Date(newer.timestamp).toLocaleString()}`
+    });
+  });
+
+historyCommand
+  .command('checkout <id>')
+  .description('Restore an earlier version as the current version')
+  .option('-o, --output <file>', 'also write the restored prompt to a file')
+  .option('-c, --clipboard', 'also copy the restored prompt to the clipboard')
+  .action(async (id, options) => {
+    const interaction = await getInteractionOrExit(id);
+    history.setHead(interaction.id);
+    
+    if (options.output) {
+      const outputPath = path.resolve(options.output);
+      if (!outputPath.startsWith(process.cwd())) {
+        console.error(chalk.red('❌ Security Error: Output path must be within current directory'));
+        process.exit(1);
+      }
+      await fs.writeFile(outputPath, interaction.enhanced);
+    }
+    
+    if (options.clipboard) {
+      try {
+        await clipboardy.write(interaction.enhanced);
+      } catch (err) {
+        console.error(chalk.yellow('⚠️  Could not copy to clipboard'));
+      }
+    }
+    
+    console.log(chalk.green(`✅ #${interaction.id} is now the current version; "enhance refine" continues from it`));
+    if (options.output) {
+      console.log(chalk.green(`✅ Saved to ${options.output}`));
+    } else {
+      console.log(`\n${interaction.enhanced}`);
+    }
+  });
+
+historyCommand
+  .command('export [file]')
+  .description('Export interactions as JSON, JSONL, CSV or Markdown (default: to stdout)')
+  .option('-f, --format <format>', `${TRANSFER_FORMATS.join(', ')} (default: from the file extension, else json)`)
+  .option('-s, --session <session>', 'only interactions in this session (number, id or title)')
+  .option('-m, --mode <mode>', 'only interactions in this mode')
+  .option('-p, --provider <provider>', 'only interactions from this provider')
+  .option('--model <model>', 'only interactions using this model')
+  .option('--since <date>', 'only interactions on or after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'only interactions on or before this date (YYYY-MM-DD)')
+  .option('--redact', 'mask API keys, tokens and passwords')
+  .action(async (file, options) => {
+    try {
+      const format = detectFormat(file, options.format);
+      const session = options.session ? findSessionOrExit(options.session) : null;
+      const { records, redacted } = history.exportInteractions({
+        session: session?.session_id,
+        mode: options.mode,
+        provider: options.provider,
+        model: options.model,
+        since: options.since,
+        until: options.until,
+        redact: options.redact
+      });
+      const output = serializeInteractions(records, format);
+      
+      if (!file) {
+        process.stdout.write(output);
+        return;
+      }
+      
+      const outputPath = path.resolve(file);
+      if (!outputPath.startsWith(process.cwd())) {
+        console.error(chalk.red('❌ Security Error: Output path must be within current directory'));
+        process.exit(1);
+      }
+      await fs.writeFile(outputPath, output);
+      
+      console.log(chalk.green(`✅ Exported ${records.length} interaction${records.length === 1 ? '' : 's'} to ${file} (${format})`));
+      if (options.redact) {
+        console.log(chalk.gray(`   ${redacted} secret${redacted === 1 ? '' : 's'} redacted`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+historyCommand
+  .command('import <file>')
+  .description('Import interactions exported by "history export", skipping ones already in history')
+  .option('-f, --format <format>', `${TRANSFER_FORMATS.join(', ')} (default: from the file extension, else json)`)
+  .option('--redact', 'mask API keys, tokens and passwords before saving')
+  .option('--dry-run', 'show what would be imported without saving')
+  .action(async (file, options) => {
+    try {
+      const format = detectFormat(file, options.format);
+      const content = await fs.readFile(file, 'utf8');
+      const summary = history.importInteractions(parseInteractions(content, format), {
+        redact: options.redact,
+        dryRun: options.dryRun,
+        source: path.basename(file)
+      });
+      
+      const verb = options.dryRun ? 'Would import' : 'Imported';
+      console.log(chalk.green(`✅ ${verb} ${summary.imported} of ${summary.total} interaction${summary.total === 1 ? '' : 's'} from ${file}`));
+      if (summary.duplicates > 0) {
+        console.log(chalk.gray(`   ${summary.duplicates} already in history, skipped`));
+      }
+      if (summary.invalid > 0) {
+        console.log(chalk.yellow(`   ${summary.invalid} without a prompt or enhanced text, skipped`));
+      }
+      if (options.redact) {
+        console.log(chalk.gray(`   ${summary.redacted} secret${summary.redacted === 1 ? '' : 's'} redacted`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Import failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+const sessionCommand = program
+  .command('session')
+  .description('Group enhancements into sessions');
+
+sessionCommand
+  .command('new [title]')
+  .description('Start a session and make it active')
+  .option('-d, --description <text>', 'session description')
+  .action((title, options) => {
+    const sessionId = history.createSession(title, options.description);
+    if (!sessionId) process.exit(1);
+    
+    history.setActiveSession(sessionId);
+    const session = history.findSession(sessionId);
+    console.log(chalk.green(`✅ Started session #${session.id} "${session.title}"`));
+    console.log(chalk.gray('New enhancements are added to it until you switch sessions.'));
+  });
+
+sessionCommand
+  .command('list')
+  .description('List sessions, most recently used first')
+  .option('--json', 'output sessions as JSON')
+  .action((options) => {
+    const sessions = history.listSessions();
+    
+    if (options.json) {
+      console.log(JSON.stringify(sessions.map(session => ({
+        ...session,
+        active: session.session_id === history.currentSession
+      })), null, 2));
+      return;
+    }
+    
+    if (sessions.length === 0) {
+      console.log(chalk.yellow('No sessions yet. Start one with "enhance session new [title]"'));
+      return;
+    }
+    
+    console.log(chalk.cyan.bold('\n🗂️  Sessions\n'));
+    for (const session of sessions) {
+      const active = session.session_id === history.currentSession;
+      const marker = active ? chalk.green('●') : ' ';
+      const title = active ? chalk.green.bold(session.title) : chalk.yellow(session.title);
+      console.log(`${marker} ${chalk.gray(`#${String(session.id).padEnd(4)}`)} ${title}`);
+      console.log(`         ${chalk.gray(`${session.interactions} interactions, updated ${new Date(session.updated_at).toLocaleString()}`)}`);
+    }
+  });
+
+sessionCommand
+  .command('show [session]')
+  .description('Show the interactions in a session (default: the active session)')
+  .option('--full', 'show complete prompts')
+  .option('--json', 'output the session as JSON')
+  .action((ref, options) => {
+    const session = findSessionOrExit(ref);
+    const interactions = history.getSessionInteractions(session.session_id);
+    
+    if (options.json) {
+      console.log(JSON.stringify({ ...session, interactions }, null, 2));
+      return;
+    }
+    
+    const preview = (text) => {
+      if (options.full) return text;
+      const line = text.replace(/\s+/g, ' ').trim();
+      return line.length <= 80 ? line : `${line.substring(0, 80)}...`;
+    };
+    
+    console.log(chalk.cyan.bold(`\n🗂️  #${session.id} ${session.title}`));
+    if (session.description) {
+      console.log(chalk.gray(session.description));
+    }
+    console.log(chalk.gray(`${interactions.length} interactions, started ${new Date(session.created_at).toLocaleString()}\n`));
+    
+    interactions.forEach((interaction, index) => {
+      console.log(chalk.yellow(`[${index + 1}] ${new Date(interaction.timestamp).toLocaleString()}`) + chalk.gray(`  ${interaction.mode}, ${interaction.provider}`));
+      console.log(`Prompt:   ${preview(interaction.prompt)}`);
+      console.log(`Enhanced: ${preview(interaction.enhanced)}`);
+      console.log();
+    });
+  });
+
+sessionCommand
+  .command('switch [session]')
+  .description('Make a session active (no argument: stop adding to a session)')
+  .action((ref) => {
+    if (!ref) {
+      history.setActiveSession(null);
+      console.log(chalk.green('✅ No active session. Enhancements are saved to history only.'));
+      return;
+    }
+    
+    const session = findSessionOrExit(ref);
+    history.setActiveSession(session.session_id);
+    console.log(chalk.green(`✅ Switched to session #${session.id} "${session.title}"`));
+  });
+
+sessionCommand
+  .command('rename <session> <title>')
+  .description('Rename a session')
+  .action((ref, title) => {
+    const session = findSessionOrExit(ref);
+    history.renameSession(session.session_id, title);
+    console.log(chalk.green(`✅ Renamed session #${session.id} to "${title}"`));
+  });
+
+sessionCommand
+  .command('delete <session>')
+  .description('Delete a session (its interactions stay in history)')
+  .action((ref) => {
+    const session = findSessionOrExit(ref);
+    history.deleteSession(session.session_id);
+    console.log(chalk.green(`✅ Deleted session #${session.id} "${session.title}"`));
+  });
+
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the response cache shared by all providers');
+
+cacheCommand
+  .command('stats')
+  .description('Show cache size and hit rates')
+  .action(() => {
+    const stats = getResponseCache().getStats();
+    const megabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    
+    console.log(chalk.cyan.bold('\n🗄️  Response Cache\n'));
+    console.log(`  Entries:  ${stats.entries} / ${stats.maxEntries}${stats.expired ? chalk.gray(` (${stats.expired} expired)`) : ''}`);
+    console.log(`  Size:     ${megabytes(stats.size)} / ${megabytes(stats.maxSize)}`);
+    console.log(`  TTL:      ${Math.round(stats.ttl / 3600000 * 10) / 10} hours`);
+    console.log(`  Hit rate: ${stats.hitRate} (${stats.hits} hits, ${stats.misses} misses)`);
+    
+    if (stats.providers.length > 0) {
+      console.log();
+      for (const provider of stats.providers) {
+        console.log(`  ${chalk.yellow(provider.provider.padEnd(16))} ${String(provider.entries).padStart(5)} entries  ${provider.hitRate} hit rate`);
+      }
+    }
+    
+    console.log(chalk.gray(`\nStored in ${stats.path}`));
+  });
+
+cacheCommand
+  .command('prune')
+  .description('Remove expired entries and enforce size limits')
+  .action(() => {
+    const { expired, evicted } = getResponseCache().prune();
+    console.log(chalk.green(`✅ Removed ${expired} expired and ${evicted} evicted entries`));
+  });
+
+cacheCommand
+  .command('clear')
+  .description('Remove cached responses')
+  .option('-p, --provider <provider>', 'only clear entries from this provider')
+  .action((options) => {
+    const removed = getResponseCache().clear(options.provider);
+    console.log(chalk.green(`✅ Removed ${removed} cached responses${options.provider ? ` from ${options.provider}` : ''}`));
+  });
+
+const dbCommand = program
+  .command('db')
+  .description('Manage the history database schema');
+
+dbCommand
+  .command('status')
+  .description('Show the schema version, pending migrations and backups')
+  .option('--json', 'output status as JSON')
+  .action((options) => {
+    try {
+      const status = history.getSchemaStatus();
+      const describe = (migration) => ({ version: migration.version, name: migration.name });
+      
+      if (options.json) {
+        console.log(JSON.stringify({
+          ...status,
+          applied: status.applied.map(describe),
+          pending: status.pending.map(describe)
+        }, null, 2));
+        return;
+      }
+      
+      console.log(chalk.cyan.bold('\n🗃️  History Database\n'));
+      console.log(`  Path:    ${status.path}${status.exists ? '' : chalk.gray(' (not created yet)')}`);
+      console.log(`  Schema:  v${status.version} of v${status.latest}${status.pending.length === 0 ? chalk.green(' (up to date)') : ''}`);
+      
+      console.log();
+      for (const migration of [...status.applied, ...status.pending]) {
+        const applied = migration.version <= status.version;
+        const marker = applied ? chalk.green('✓') : chalk.yellow('○');
+        console.log(`  ${marker} v${migration.version}  ${applied ? migration.name : chalk.yellow(`${migration.name} (pending)`)}`);
+      }
+      
+      if (status.backups.length > 0) {
+        console.log(chalk.cyan('\n  Backups:'));
+        for (const backup of status.backups) {
+          console.log(`  ${chalk.gray(backup.created.toLocaleString())}  v${backup.version}  ${backup.file}`);
+        }
+      }
+      
+      if (status.exists && status.pending.length > 0) {
+        console.log(chalk.gray('\nRun "enhance db migrate" to upgrade (a backup is taken first).'));
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+dbCommand
+  .command('migrate')
+  .description('Back up the history database and apply pending migrations')
+  .option('--dry-run', 'list pending migrations without applying them')
+  .action((options) => {
+    try {
+      if (options.dryRun) {
+        const status = history.getSchemaStatus();
+        if (status.pending.length === 0) {
+          console.log(chalk.green(`✅ History database is up to date (v${status.version})`));
+          return;
+        }
+        console.log(chalk.cyan(`Would migrate v${status.version} → v${status.latest}:`));
+        status.pending.forEach(migration => console.log(`  ○ v${migration.version}  ${migration.name}`));
+        return;
+      }
+      
+      const result = history.migrateSchema();
+      if (result.applied.length === 0) {
+        console.log(chalk.green(`✅ History database is up to date (v${result.to})`));
+        return;
+      }
+      
+      if (result.backup) {
+        console.log(chalk.gray(`Backed up v${result.from} to ${result.backup}`));
+      }
+      result.applied.forEach(migration => console.log(`  ${chalk.green('✓')} v${migration.version}  ${migration.name}`));
+      console.log(chalk.green(`✅ Migrated history database v${result.from} → v${result.to}`));
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('tokens <file>')
+  .description('Count tokens in a file for each provider\'s model')
+  .option('--model <models>', 'comma-separated model ids to count for')
+  .option('--json', 'output counts as JSON')
+  .action(async (file, options) => {
+    try {
+      const filePath = path.resolve(file);
+      if (!filePath.startsWith(process.cwd())) {
+        throw new Error('File path must be within current directory');
+      }
+      const text = await fs.readFile(filePath, 'utf8');
+      
+      // Default to the model each registered provider would use
+      const models = options.model
+        ? options.model.split(',').map(model => model.trim()).filter(Boolean)
+        : [...new Set(Array.from(registry.providers.values(), provider => provider.defaultModel).filter(Boolean))];
+      
+      const counts = models.map(model => {
+        const tokenizer = getTokenizer(model);
+        return { model, tokenizer: tokenizer.name, exact: tokenizer.exact, tokens: tokenizer.count(text) };
+      });
+      
+      if (options.json) {
+        console.log(JSON.stringify({ file, characters: text.length, counts }, null, 2));
+        return;
+      }
+      
+      console.log(chalk.cyan.bold(`\n🔢 Token counts for ${file}`) + chalk.gray(` (${text.length} characters)\n`));
+      for (const count of counts) {
+        const note = count.exact ? '' : chalk.gray(' ~approximate');
+        console.log(`  ${chalk.yellow(count.model.padEnd(32))} ${chalk.green(String(count.tokens).padStart(8))}  ${chalk.gray(count.tokenizer)}${note}`);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.code === 'ENOENT' ? `File not found: ${file}` : error.message}`));
+      process.exit(1);
+    }
+  });
+
+const templatesCommand = program
+  .command('templates')
+  .description('Manage template file modes');
+
+templatesCommand
+  .command('list')
+  .description('List template file modes')
+  .option('--source', 'show where each template comes from and what it overrides')
+  .action((options) => {
+    const library = getTemplateLibrary();
+    const modes = Object.values(getAllTemplates()).filter(mode => mode.file);
+    
+    console.log(chalk.cyan.bold('\n📄 Templates\n'));
+    
+    if (modes.length === 0) {
+      console.log(chalk.gray('No templates found.'));
+    }
+    
+    for (const mode of modes.sort((a, b) => a.key.localeCompare(b.key))) {
+      const source = options.source ? chalk.gray(` (${mode.source})`) : '';
+      console.log(`  ${chalk.blue(mode.key.padEnd(20))} ${mode.description}${source}`);
+      
+      if (options.source) {
+        console.log(chalk.gray(`  ${' '.repeat(20)} ${mode.file}`));
+        if (mode.extends) {
+          console.log(chalk.gray(`  ${' '.repeat(20)} extends ${mode.extends.map(file => path.basename(file)).join(' → ')}`));
+        }
+        for (const replaced of mode.overrides || []) {
+          console.log(chalk.gray(`  ${' '.repeat(20)} overrides ${replaced.source}: ${replaced.file}`));
+        }
+      }
+    }
+    
+    library.errors.forEach(({ file, error }) => {
+      console.log(chalk.yellow(`  ⚠️  Skipped ${error}`) + chalk.gray(` (${path.dirname(file)})`));
+    });
+    
+    if (options.source) {
+      console.log(chalk.gray('\nSearched, lowest precedence first:'));
+      for (const { dir, source } of library.getDirectories()) {
+        console.log(chalk.gray(`  ${source.padEnd(8)} ${dir}`));
+      }
+    }
+  });
+
+templatesCommand
+  .command('lint [path]')
+  .description('Check modes and template files for unknown or unused variables, unbalanced tags, empty sections and shadowed names')
+  .option('--json', 'output findings as JSON')
+  .action((target, options) => {
+    const { lintAll, lintPath } = require('./lib/template-lint');
+    
+    let findings;
+    try {
+      findings = target ? lintPath(target) : lintAll();
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+    const errors = findings.filter(item => item.severity === 'error').length;
+    const warnings = findings.length - errors;
+    
+    if (options.json) {
+      console.log(JSON.stringify({ errors, warnings, findings }, null, 2));
+    } else {
+      console.log(chalk.cyan.bold(`\n🔍 Linting ${target || 'all modes and templates'}\n`));
+      
+      // Group findings under the mode they belong to
+      const byMode = new Map();
+      for (const item of findings) {
+        if (!byMode.has(item.mode)) byMode.set(item.mode, []);
+        byMode.get(item.mode).push(item);
+      }
+      
+      for (const [mode, items] of byMode) {
+        const file = items.find(item => item.file)?.file;
+        console.log(`${chalk.blue(mode)}${file ? chalk.gray(` ${file}`) : ''}`);
+        for (const item of items) {
+          const icon = item.severity === 'error' ? chalk.red('❌') : chalk.yellow('⚠️ ');
+          console.log(`  ${icon} ${chalk.gray(item.rule.padEnd(16))} ${item.message}`);
+        }
+      }
+      
+      const summary = `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`;
+      console.log(findings.length === 0
+        ? chalk.green('✅ No problems found')
+        : (errors > 0 ? chalk.red.bold(`\n${summary}`) : chalk.yellow.bold(`\n${summary}`)));
+    }
+    
+    if (errors > 0) {
+      process.exitCode = 1;
+    }
+  });
+
+const projectCommand = program
+  .command('project')
+  .description('Share templates, settings and tests with a team through .enhance/');
+
+projectCommand
+  .command('init')
+  .description('Create .enhance/ in the current directory')
+  .action(() => {
+    const { paths, created } = initProject();
+    
+    if (!created) {
+      console.log(chalk.yellow(`${paths.dir} already exists; added any missing directories`));
+      return;
+    }
+    
+    console.log(chalk.green(`✅ Created ${paths.dir}`));
+    console.log(chalk.gray(`   config.json   settings (enhance config set --project <key> <value>)`));
+    console.log(chalk.gray(`   templates/    template modes and partials/`));
+    console.log(chalk.gray(`   tests/        prompt test suites (enhance --test)`));
+    console.log(chalk.gray(`   assertions/   custom assertion modules for the tests`));
+    console.log(chalk.gray('\nCommit it to share it with your team.'));
+  });
+
+projectCommand
+  .command('show')
+  .description('Show the current project\'s templates, settings and tests')
+  .action(() => {
+    const project = getProject();
+    if (!project) {
+      console.log(chalk.yellow('Not inside a project. Run "enhance project init" to create .enhance/'));
+      return;
+    }
+    
+    const templates = Object.values(getAllTemplates()).filter(mode => mode.source === 'project');
+    const settings = userConfig.list().filter(setting => setting.source === 'project');
+    const suites = listTestSuites(project);
+    const { modules, rejected } = listAssertionModules(project);
+    const assertions = Object.keys(modules);
+    
+    console.log(chalk.cyan.bold(`\n📁 Project ${project.root}\n`));
+    console.log(`  Templates ${chalk.green(templates.length)}${templates.length ? chalk.gray(` (${templates.map(mode => mode.key).join(', ')})`) : ''}`);
+    console.log(`  Settings  ${chalk.green(settings.length)}${settings.length ? chalk.gray(` (${settings.map(setting => `${setting.key}=${setting.value}`).join(', ')})`) : ''}`);
+    console.log(`  Tests     ${chalk.green(suites.length)}${suites.length ? chalk.gray(` (${suites.map(file => path.basename(file)).join(', ')})`) : ''}`);
+    console.log(`  Asserts   ${chalk.green(assertions.length)}${assertions.length ? chalk.gray(` (${assertions.join(', ')})`) : ''}`);
+    rejected.forEach(({ name, file }) => {
+      console.log(chalk.yellow(`  ⚠️  Ignoring ${path.relative(project.root, file)}: "${name}" is a built-in assertion key`));
+    });
+  });
+
+const configCommand = program
+  .command('config')
+  .description('Manage saved preferences (default provider, mode, model, AI usage)');
+
+configCommand
+  .command('list')
+  .description('List all settings')
+  .action(() => {
+    console.log(chalk.cyan.bold('\n⚙️  Settings\n'));
+    
+    for (const setting of userConfig.list()) {
+      const value = setting.value === undefined ? chalk.gray('(not set)') : chalk.green(String(setting.value));
+      const source = ['project', 'default'].includes(setting.source) ? chalk.gray(` (${setting.source})`) : '';
+      console.log(`  ${chalk.yellow(setting.key.padEnd(16))} ${value}${source}`);
+      console.log(`  ${' '.repeat(16)} ${chalk.gray(setting.description)}`);
+    }
+    
+    console.log(chalk.gray(`\nStored in ${userConfig.configPath}`));
+    if (userConfig.projectConfigPath) {
+      console.log(chalk.gray(`Project settings in ${userConfig.projectConfigPath}`));
+    }
+  });
+
+configCommand
+  .command('get <key>')
+  .description('Show a setting')
+  .action((key) => {
+    try {
+      userConfig.getDefinition(key);
+      const value = userConfig.get(key);
+      console.log(value === undefined ? '' : String(value));
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+configCommand
+  .command('set <key> <value>')
+  .description('Change a setting')
+  .option('--project', 'store in the project\'s .enhance/config.json, shared with the team')
+  .action(async (key, value, options) => {
+    try {
+      // Reject values that would never resolve
+      if (key === 'defaultProvider' && !registry.providers.has(value)) {
+        throw new Error(`Provider '${value}' not found. Available providers: ${Array.from(registry.providers.keys()).join(', ')}`);
+      }
+      if (key === 'defaultMode' && !modeExists(value)) {
+        throw new Error(`Mode '${value}' not found. Use --list to see available modes`);
+      }
+      
+      const stored = await userConfig.set(key, value, { project: options.project });
+      console.log(chalk.green(`✅ ${key} set to ${stored}${options.project ? ' for this project' : ''}`));
+      
+      // A project setting wins over the user's
+      if (!options.project && userConfig.getSource(key) === 'project') {
+        console.log(chalk.yellow(`⚠️  This project sets ${key} to ${userConfig.get(key)}, which takes precedence here`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+configCommand
+  .command('unset <key>')
+  .description('Reset a setting to its default')
+  .option('--project', 'remove from the project\'s .enhance/config.json')
+  .action(async (key, options) => {
+    try {
+      const removed = await userConfig.unset(key, { project: options.project });
+      console.log(removed ? chalk.green(`✅ ${key} reset`) : chalk.yellow(`${key} was not set`));
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 program
   .command('theme')
   .description('Manage CLI themes and visual settings')
@@ -0,0 +1,72 @@
+/**
+ * Example Plugin
+ * Shows every extension point of the plugin API (version 1)
+ *
+ * Try it with:
+ *   CLAUDE_ENHANCER_PLUGIN_PATH=examples/plugins/claude-enhancer-plugin-example enhance plugins list
+ */
+module.exports = {
+  apiVersion: 1,
+
+  register(api) {
+    // Enhancement mode, available as --mode review
+    api.registerMode('review', {
+      name: 'Code Review',
+      description: 'Ask for a structured code review',
+      enhance: (input, context = {}) => `Code Review Request:
+${input}
+
+Review Checklist:
+- Correctness and edge cases
+- Readability and naming
+- Security concerns
+- Test coverage
+
+List findings by severity (critical, major, minor).`
+    });
+
+    // Provider that echoes the prompt back, usable as --provider echo
+    class EchoProvider extends api.BaseProvider {
+      constructor(config = {}) {
+        super('echo', config);
+        this.defaultModel = 'echo';
+      }
+
+      async initialize() {
+        return true;
+      }
+
+      async listModels() {
+        return [{ id: 'echo', name: 'Echo' }];
+      }
+
+      async complete(prompt) {
+        this.trackUsage(this.estimateTokens(prompt));
+        return prompt;
+      }
+    }
+    api.registerProvider('echo', EchoProvider);
+
+    // Test-runner assertion: `- word_count: { min: 50, max: 400 }`
+    api.registerAssertion('word_count', (result, limits) => {
+      const words = result.split(/\s+/).filter(Boolean).length;
+      const passed = words >= (limits.min || 0) && words <= (limits.max || Infinity);
+      return {
+        passed,
+        description: `Word count between ${limits.min || 0} and ${limits.max || '∞'}`,
+        reason: passed ? '' : `Has ${words} words`
+      };
+    });
+
+    // Output formatter, available as --format quoted
+    api.registerFormatter('quoted', (enhanced) => enhanced.split('\n').map(line => `> ${line}`).join('\n'));
+
+    // Tokenizer for the echo provider's models, used by usage stats and `enhance tokens`
+    api.registerTokenizer('echo-words', {
+      description: 'One token per word',
+      exact: true,
+      match: /^echo/,
+      count: (text) => text.split(/\s+/).filter(Boolean).length
+    });
+  }
+};
@@ -174,7 +174,7 @@ class AnalyticsDashboard {
       await this.updateUsageChart(recent);
       
       // Update provider donut
-      this.updateProviderDonut(providerStats);
+      this.updateProviderDonut(stats.providers);
       
       // Update mode bar chart
       this.updateModeBar(stats.modeBreakdown);
@@ -183,7 +183,7 @@ class AnalyticsDashboard {
       this.updateResponseGauge(recent);
       
       // Update token gauge
-      this.updateTokenGauge(providerStats);
+      this.updateTokenGauge(stats.tokens, providerStats);
       
       // Update recent log
       this.updateRecentLog(recent);
@@ -237,15 +237,16 @@ class AnalyticsDashboard {
 
   /**
    * Update provider donut
+   * @param {Array} providers - Per-provider totals from history
    */
-  updateProviderDonut(providerStats) {
+  updateProviderDonut(providers) {
     const data = [];
     let total = 0;
     
-    for (const [provider, stats] of Object.entries(providerStats)) {
+    for (const stats of providers) {
       total += stats.requests || 0;
       data.push({
-        label: provider,
+        label: stats.provider,
         percent: stats.requests || 0
       });
     }
@@ -307,22 +308,21 @@ class AnalyticsDashboard {
 
   /**
    * Update token gauge
+   * Shows tokens sent in the last minute against the providers' per-minute budgets
    */
-  updateTokenGauge(providerStats) {
-    let totalTokens = 0;
+  updateTokenGauge(tokens, providerStats) {
     let totalLimit = 0;
     
     for (const [provider, stats] of Object.entries(providerStats)) {
-      totalTokens += stats.tokens || 0;
       if (stats.rateLimits) {
         totalLimit += stats.rateLimits.tokensPerMinute || 10000;
       }
     }
     
-    const percent = totalLimit > 0 ? Math.min(100, (totalTokens / totalLimit) * 100) : 0;
+    const percent = totalLimit > 0 ? Math.min(100, (tokens.lastMinute / totalLimit) * 100) : 0;
     
     this.widgets.tokenGauge.setPercent(percent);
-    this.widgets.tokenGauge.setLabel(` Tokens: ${totalTokens} `);
+    this.widgets.tokenGauge.setLabel(` Tokens/min: ${tokens.lastMinute}/${totalLimit} (total ${tokens.total}) `);
   }
 
   /**
@@ -337,10 +337,11 @@ class AnalyticsDashboard {
       const time = new Date(interaction.timestamp).toLocaleTimeString();
       const mode = interaction.mode || 'unknown';
       const provider = interaction.provider || 'template';
+      const timing = interaction.response_time ? ` ${interaction.response_time}ms` : '';
       const preview = interaction.prompt.substring(0, 30) + '...';
       
       this.widgets.recentLog.log(
-        `[${time}] ${mode}/${provider}: ${preview}`
+        `[${time}] ${mode}/${provider}${timing}: ${preview}`
       );
     });
   }
@@ -357,18 +358,19 @@ class AnalyticsDashboard {
     data.push(['Most Used Mode', historyStats.mostUsedMode]);
     
     // Provider stats
-    let totalRequests = 0;
+    const totalRequests = historyStats.providers.reduce((sum, stats) => sum + stats.requests, 0);
     let totalCache = 0;
     
     for (const [provider, stats] of Object.entries(providerStats)) {
-      totalRequests += stats.requests || 0;
       if (stats.cache) {
         totalCache += stats.cache.size || 0;
       }
     }
     
     data.push(['API Requests', totalRequests.toString()]);
+    data.push(['Cache Hits', historyStats.cacheHits.toString()]);
     data.push(['Cached Items', totalCache.toString()]);
+    data.push(['Tokens', historyStats.tokens.total.toString()]);
     
     // Active providers
     const activeProviders = Object.keys(providerStats).join(', ');
@@ -407,19 +409,34 @@ class AnalyticsDashboard {
     }
     console.log();
     
-    // Provider statistics
+    // Provider statistics, from history so they cover every run
     console.log(chalk.yellow.bold('🔌 Provider Statistics'));
-    for (const [provider, pStats] of Object.entries(providerStats)) {
-      console.log(`  ${chalk.cyan(provider)}:`);
-      console.log(`    Requests: ${pStats.requests}`);
+    for (const pStats of stats.providers) {
+      const cache = providerStats[pStats.provider]?.cache;
+      console.log(`  ${chalk.cyan(pStats.provider)}:`);
+      console.log(`    Requests: ${pStats.requests}${pStats.cacheHits ? ` (${pStats.cacheHits} from cache)` : ''}`);
       console.log(`    Tokens: ${pStats.tokens}`);
-      if (pStats.cache) {
-        console.log(`    Cache: ${pStats.cache.size} items (${pStats.cache.hitRate} hit rate)`);
+      if (pStats.avgResponseTime) {
+        console.log(`    Avg Response: ${pStats.avgResponseTime}ms`);
+      }
+      if (cache) {
+        console.log(`    Cache: ${cache.size} items (${cache.hitRate} hit rate)`);
+      }
+      if (health[pStats.provider]) {
+        console.log(`    Status: ${health[pStats.provider].status === 'healthy' ? chalk.green('✓') : chalk.red('✗')}`);
       }
-      console.log(`    Status: ${health[provider].status === 'healthy' ? chalk.green('✓') : chalk.red('✗')}`);
     }
     console.log();
     
+    // Model statistics
+    if (stats.models.length > 0) {
+      console.log(chalk.yellow.bold('🤖 Models'));
+      for (const mStats of stats.models) {
+        console.log(`  ${chalk.cyan(mStats.model)} (${mStats.provider}): ${mStats.requests} requests, ${mStats.tokens} tokens, ${mStats.avgResponseTime}ms avg`);
+      }
+      console.log();
+    }
+    
     // Recent activity
     console.log(chalk.yellow.bold('🕐 Recent Activity'));
     recent.slice(0, 5).forEach((interaction, i) => {
@@ -431,22 +448,13 @@ class AnalyticsDashboard {
     
     // Performance metrics
     console.log(chalk.yellow.bold('⚡ Performance Metrics'));
-    let totalResponseTime = 0;
-    let responseCount = 0;
-    
-    recent.forEach(interaction => {
-      if (interaction.response_time) {
-        totalResponseTime += interaction.response_time;
-        responseCount++;
-      }
-    });
-    
-    const avgResponseTime = responseCount > 0 ? totalResponseTime / responseCount : 0;
-    console.log(`  Average Response Time: ${chalk.green(avgResponseTime.toFixed(0) + 'ms')}`);
+    console.log(`  Average Response Time: ${chalk.green(stats.avgResponseTime + 'ms')}`);
+    console.log(`  Tokens: ${chalk.green(stats.tokens.total)} (${stats.tokens.prompt} prompt, ${stats.tokens.completion} completion)`);
     
     // Cost estimation (if applicable)
     let estimatedCost = 0;
-    for (const [provider, pStats] of Object.entries(providerStats)) {
+    for (const pStats of stats.providers) {
+      const provider = pStats.provider;
       const tokens = pStats.tokens || 0;
       // Rough cost estimates per 1K tokens
       const costs = {
@@ -0,0 +1,165 @@
+const vm = require('vm');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+/**
+ * Assertion Sandbox
+ * Runs custom test assertions, which come from shared test files and
+ * project modules, away from the CLI. Each assertion runs in a fresh `vm`
+ * context inside a worker thread:
+ *   - the context has no require, process, console or timers, and only
+ *     objects created inside it, so nothing leads back to Node
+ *   - string evaluation (eval, new Function) is disabled inside it
+ *   - it is stopped after a timeout, and the worker's heap is capped
+ *
+ * Assertions can read `result`, `config` (the test's merged config), `test`
+ * and `helpers`, and return a boolean or { passed, reason }.
+ */
+
+const DEFAULT_TIMEOUT = 1000;
+const MEMORY_LIMIT_MB = 64;
+// Extra time for the worker to start before it is stopped from outside
+const WORKER_GRACE_MS = 2000;
+
+// Defined inside the context so helpers are objects of the sandbox, not of Node
+const HELPERS_SOURCE = `
+globalThis.helpers = Object.freeze({
+  words: (text) => String(text).split(/\\s+/).filter(Boolean),
+  wordCount: (text) => helpers.words(text).length,
+  lines: (text) => String(text).split('\\n'),
+  lineCount: (text) => helpers.lines(text).length,
+  headings: (text) => String(text).split('\\n')
+    .map(line => line.match(/^#{1,6}\\s+(.+?)\\s*$/) || line.match(/^([A-Z][^:\\n]{0,60}):\\s*$/))
+    .filter(Boolean)
+    .map(match => match[1]),
+  hasSection: (text, name) => helpers.headings(text).some(heading => heading.toLowerCase().includes(String(name).toLowerCase())),
+  count: (text, pattern) => (String(text).match(pattern instanceof RegExp ? new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g') : new RegExp(String(pattern).replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&'), 'g')) || []).length,
+  includesAll: (text, items) => items.every(item => String(text).includes(item)),
+  includesAny: (text, items) => items.some(item => String(text).includes(item)),
+  codeBlocks: (text) => [...String(text).matchAll(/\`\`\`[^\\n]*\\n([\\s\\S]*?)\`\`\`/g)].map(match => match[1]),
+  json: (text) => {
+    const block = String(text).match(/\`\`\`json\\s*\\n([\\s\\S]*?)\`\`\`/);
+    try {
+      return JSON.parse(block ? block[1] : text);
+    } catch (error) {
+      return null;
+    }
+  }
+});
+`;
+
+// Calls the assertion and turns its outcome into JSON, inside the context
+const CALL_SOURCE = `
+(() => {
+  const fn = globalThis.__assertion;
+  if (globalThis.__kind === 'module' && typeof fn !== 'function') {
+    throw new Error('Assertion modules must export a function: module.exports = (result, value, { config, helpers }) => ...');
+  }
+  const outcome = typeof fn !== 'function'
+    ? fn
+    : globalThis.__kind === 'module'
+      ? fn(result, input.value, { config, test, assertion: input.assertion, helpers })
+      : fn(result, { config, test, helpers });
+  if (outcome && typeof outcome.then === 'function') {
+    throw new Error('Custom assertions must return a result, not a promise');
+  }
+  if (outcome !== null && typeof outcome === 'object') {
+    return JSON.stringify({ passed: Boolean(outcome.passed), reason: outcome.reason ? String(outcome.reason) : '' });
+  }
+  return JSON.stringify({ passed: Boolean(outcome), reason: '' });
+})()
+`;
+
+/**
+ * Evaluate an assertion in a new context (runs in the worker)
+ */
+function evaluate({ kind, source, name, data, timeout }) {
+  // No prototype, so the global can't lead to this realm's Object and Function
+  const context = vm.createContext(Object.create(null), {
+    name: 'assertion sandbox',
+    codeGeneration: { strings: false, wasm: false },
+    // Count promise callbacks against the timeout too
+    microtaskMode: 'afterEvaluate'
+  });
+  const run = (code, filename) => vm.runInContext(code, context, { timeout, filename });
+
+  // Data crosses over as text and is parsed by the context's own JSON
+  context.__data = JSON.stringify(data);
+  context.__kind = kind;
+  run(`
+    globalThis.input = JSON.parse(globalThis.__data);
+    globalThis.result = input.result;
+    globalThis.config = input.config;
+    globalThis.test = input.test;
+    delete globalThis.__data;
+  `, 'setup');
+  run(HELPERS_SOURCE, 'helpers');
+
+  if (kind === 'module') {
+    run('globalThis.module = { exports: {} }; globalThis.exports = module.exports;', 'setup');
+    run(source, name);
+    run('globalThis.__assertion = module.exports;', 'setup');
+  } else {
+    context.__assertion = run(source, name);
+  }
+
+  return JSON.parse(run(CALL_SOURCE, name));
+}
+
+if (!isMainThread && workerData && workerData.assertionSandbox) {
+  try {
+    parentPort.postMessage(evaluate(workerData.job));
+  } catch (error) {
+    const timedOut = error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+    parentPort.postMessage({
+      error: timedOut ? `Timed out after ${workerData.job.timeout}ms` : String(error && error.message ? error.message : error)
+    });
+  }
+}
+
+/**
+ * Run an assertion in the sandbox
+ * @param {Object} job
+ * @param {'inline'|'module'} job.kind - An expression or function, or a module setting module.exports
+ * @param {string} job.source - Its source code
+ * @param {string} job.name - Name used in stack traces
+ * @param {Object} job.data - { result, config, test, assertion, value }, copied as JSON
+ * @param {number} job.timeout - Milliseconds before the assertion is stopped
+ * @returns {Promise<{passed: boolean, reason: string}|{error: string}>}
+ */
+function runInSandbox({ kind = 'inline', source, name = 'custom assertion', data = {}, timeout = DEFAULT_TIMEOUT }) {
+  return new Promise((resolve) => {
+    const worker = new Worker(__filename, {
+      workerData: { assertionSandbox: true, job: { kind, source, name, data: JSON.parse(JSON.stringify(data)), timeout } },
+      resourceLimits: { maxOldGenerationSizeMb: MEMORY_LIMIT_MB, maxYoungGenerationSizeMb: 16 },
+      env: {},
+      stdout: true,
+      stderr: true
+    });
+
+    let settled = false;
+    const settle = (outcome) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(outcome);
+    };
+
+    // Backstop for anything the vm timeout can't interrupt
+    const timer = setTimeout(() => settle({ error: `Timed out after ${timeout}ms` }), timeout + WORKER_GRACE_MS);
+
+    worker.once('message', settle);
+    worker.once('error', (error) => settle({
+      error: error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? `Exceeded the ${MEMORY_LIMIT_MB} MB memory limit`
+        : error.message
+    }));
+    worker.once('exit', (code) => settle({ error: `Sandbox stopped unexpectedly (exit code ${code})` }));
+  });
+}
+
+module.exports = {
+  runInSandbox,
+  DEFAULT_TIMEOUT,
+  MEMORY_LIMIT_MB
+};
@@ -0,0 +1,294 @@
+const { countTokens } = require('./tokenizers');
+
+/**
+ * Context Window Handling
+ * Fits long inputs into a model's context window by warning, truncating,
+ * or splitting them into chunks that are enhanced separately and merged
+ * (map-reduce).
+ */
+
+const CONTEXT_POLICIES = ['chunk', 'truncate', 'warn'];
+
+// Known context lengths in tokens, first match wins
+const KNOWN_CONTEXT_LENGTHS = [
+  [/gpt-4\.1/, 1047576],
+  [/gpt-5/, 400000],
+  [/gpt-4o|gpt-4\.5|gpt-4-turbo|chatgpt|(^|\/)o\d/, 128000],
+  [/gpt-4-32k/, 32768],
+  [/gpt-4/, 8192],
+  [/gpt-3\.5/, 16385],
+  [/claude/, 200000],
+  [/llama-?3\.[1-3]/, 131072],
+  [/llama-?3/, 8192],
+  [/codellama/, 16384],
+  [/llama-?2/, 4096],
+  [/mistral|mixtral|qwen/, 32768],
+  [/gemma/, 8192],
+  [/flan-t5/, 512]
+];
+
+const DEFAULT_CONTEXT_LENGTH = 4096;
+
+// Tokens kept free for the mode's system prompt and instructions
+const INSTRUCTION_RESERVE = 256;
+
+const MERGE_INSTRUCTIONS = 'The following sections are enhanced parts of one long prompt. ' +
+  'Merge them into a single coherent enhanced prompt. Keep every requirement and detail, ' +
+  'remove repeated instructions, and output only the merged prompt.';
+
+/**
+ * Look up the context length for a model id
+ * @param {string} model - Model id
+ * @returns {number} Context length in tokens
+ */
+function getDefaultContextLength(model) {
+  const id = String(model || '').toLowerCase();
+  const known = KNOWN_CONTEXT_LENGTHS.find(([pattern]) => pattern.test(id));
+  return known ? known[1] : DEFAULT_CONTEXT_LENGTH;
+}
+
+/**
+ * Tokens available for input once output and instructions are reserved
+ */
+function getInputBudget(contextLength, options = {}) {
+  const outputReserve = options.max_tokens || options.maxTokens || Math.min(2048, Math.floor(contextLength / 4));
+  return Math.max(64, contextLength - outputReserve - INSTRUCTION_RESERVE);
+}
+
+/**
+ * Cut text to at most maxTokens tokens, keeping the beginning
+ */
+function truncateToTokens(text, maxTokens, model) {
+  if (countTokens(text, model) <= maxTokens) return text;
+
+  // Binary search the longest prefix that fits
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (countTokens(text.slice(0, middle), model) <= maxTokens) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return text.slice(0, low);
+}
+
+/**
+ * Split text into chunks of at most maxTokens tokens
+ * Splits on paragraphs, then sentences, then hard cuts. Pieces of one
+ * paragraph keep their original spacing; paragraphs are joined by a blank line.
+ * @returns {string[]}
+ */
+function splitIntoChunks(text, maxTokens, model) {
+  // Each piece remembers the text that separated it from the one before
+  const pieces = [];
+
+  for (const paragraph of text.split(/\n{2,}/)) {
+    if (!paragraph.trim()) continue;
+
+    if (countTokens(paragraph, model) <= maxTokens) {
+      pieces.push({ text: paragraph, before: '\n\n' });
+      continue;
+    }
+
+    // Sentences alternate with the whitespace that followed them
+    const sentences = paragraph.split(/(?<=[.!?])(\s+)/);
+    for (let index = 0; index < sentences.length; index += 2) {
+      let before = index > 0 ? sentences[index - 1] : '\n\n';
+      let rest = sentences[index];
+      while (rest) {
+        const piece = truncateToTokens(rest, maxTokens, model) || rest.slice(0, 1);
+        pieces.push({ text: piece, before });
+        before = '';
+        rest = rest.slice(piece.length);
+      }
+    }
+  }
+
+  const chunks = [];
+  let offset = 0;
+  for (const group of groupToFit(pieces.map(piece => piece.text), maxTokens, model, '\n\n')) {
+    chunks.push(group.map((piece, index) => (index > 0 ? pieces[offset + index].before : '') + piece).join(''));
+    offset += group.length;
+  }
+  return chunks;
+}
+
+/**
+ * Group consecutive pieces so each group's total stays within maxTokens
+ * @returns {string[][]}
+ */
+function groupToFit(pieces, maxTokens, model, separator) {
+  const separatorTokens = countTokens(separator, model);
+  const groups = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const piece of pieces) {
+    const tokens = countTokens(piece, model);
+    const added = current.length > 0 ? tokens + separatorTokens : tokens;
+
+    if (current.length > 0 && currentTokens + added > maxTokens) {
+      groups.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+
+    currentTokens += current.length > 0 ? tokens + separatorTokens : tokens;
+    current.push(piece);
+  }
+
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+/**
+ * Measure an input against a provider's context window and apply the policy
+ * @param {BaseProvider} provider - Provider that will handle the input
+ * @param {string} input - Prompt to enhance
+ * @param {string} mode - Enhancement mode
+ * @param {Object} options - { model, maxTokens, contextPolicy, onContextEvent }
+ * @returns {Promise<{input: string, chunks: string[]|null, model: string, options: Object}>}
+ */
+async function prepareInput(provider, input, mode, options = {}) {
+  const policy = options.contextPolicy || 'chunk';
+  if (!CONTEXT_POLICIES.includes(policy)) {
+    throw new Error(`Unknown context policy '${policy}'. Use one of: ${CONTEXT_POLICIES.join(', ')}`);
+  }
+
+  const model = options.model || provider.getModelForMode(mode) || provider.defaultModel;
+  const contextLength = await provider.getContextLength(model);
+  const budget = getInputBudget(contextLength, options);
+  const tokens = provider.estimateTokens(input, model);
+  const report = (event) => {
+    if (options.onContextEvent) {
+      options.onContextEvent({ ...event, provider: provider.name, model, tokens, contextLength });
+    }
+  };
+
+  // Tell providers that allocate context per request (Ollama) how much is needed
+  const needed = Math.min(tokens, budget) + (contextLength - budget);
+  const requestOptions = { ...options, contextLength: Math.min(contextLength, 2 ** Math.ceil(Math.log2(needed))) };
+
+  if (tokens <= budget) {
+    return { input, chunks: null, model, options: requestOptions };
+  }
+
+  if (policy === 'warn') {
+    report({ type: 'warn', budget });
+    return { input, chunks: null, model, options: requestOptions };
+  }
+
+  if (policy === 'truncate') {
+    report({ type: 'truncate', budget });
+    return { input: truncateToTokens(input, budget, model), chunks: null, model, options: requestOptions };
+  }
+
+  const chunks = splitIntoChunks(input, budget, model);
+  report({ type: 'chunk', budget, chunks: chunks.length });
+  return { input, chunks, model, options: requestOptions };
+}
+
+/**
+ * Enhance chunks separately (map), then merge the results (reduce)
+ * Merges are repeated in batches that fit the window until one result remains,
+ * or until no two sections fit together (reported as `unmerged`)
+ */
+async function mapReduceEnhance(provider, chunks, mode, prepared, options = {}) {
+  const { model, options: requestOptions } = prepared;
+  const budget = getInputBudget(await provider.getContextLength(model), options);
+  const report = (event) => {
+    if (options.onContextEvent) options.onContextEvent({ ...event, provider: provider.name, model });
+  };
+
+  const startTime = Date.now();
+  const calls = [];
+  let sections = [];
+  for (const [index, chunk] of chunks.entries()) {
+    report({ type: 'map', index: index + 1, total: chunks.length });
+    const result = await provider.enhance(`Part ${index + 1} of ${chunks.length} of a longer prompt:\n\n${chunk}`, mode, requestOptions);
+    calls.push(result);
+    sections.push(result.text);
+  }
+
+  while (sections.length > 1) {
+    const batches = groupToFit(sections, budget - countTokens(MERGE_INSTRUCTIONS, model), model, '\n\n---\n\n');
+
+    // Every section already fills the window on its own
+    if (batches.length === sections.length) {
+      report({ type: 'unmerged', sections: sections.length });
+      break;
+    }
+
+    const merged = [];
+    for (const batch of batches) {
+      if (batch.length === 1) {
+        merged.push(batch[0]);
+        continue;
+      }
+      report({ type: 'reduce', sections: batch.length });
+      const result = await provider.generate(`${MERGE_INSTRUCTIONS}\n\n${batch.join('\n\n---\n\n')}`, { ...requestOptions, model });
+      calls.push(result);
+      merged.push(result.text);
+    }
+    sections = merged;
+  }
+
+  return combineResults(calls, sections.join('\n\n'), startTime);
+}
+
+/**
+ * Sum the details of every call made for one map-reduce enhancement
+ * @returns {CompletionResult}
+ */
+function combineResults(calls, text, startTime) {
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false };
+  for (const call of calls) {
+    usage.promptTokens += call.usage.promptTokens;
+    usage.completionTokens += call.usage.completionTokens;
+    usage.totalTokens += call.usage.totalTokens;
+    usage.estimated = usage.estimated || call.usage.estimated;
+  }
+
+  const last = calls[calls.length - 1];
+  return {
+    text,
+    provider: last.provider,
+    model: last.model,
+    usage,
+    latency: Date.now() - startTime,
+    cached: calls.every(call => call.cached)
+  };
+}
+
+/**
+ * Enhance an input of any length with a provider
+ * @param {BaseProvider} provider - Provider to use
+ * @param {string} input - Prompt to enhance
+ * @param {string} mode - Enhancement mode
+ * @param {Object} options - Provider options plus contextPolicy and onContextEvent
+ * @returns {Promise<CompletionResult>}
+ */
+async function enhanceWithinContext(provider, input, mode, options = {}) {
+  const prepared = await prepareInput(provider, input, mode, options);
+
+  if (prepared.chunks) {
+    return mapReduceEnhance(provider, prepared.chunks, mode, prepared, options);
+  }
+
+  return provider.enhance(prepared.input, mode, prepared.options);
+}
+
+module.exports = {
+  CONTEXT_POLICIES,
+  getDefaultContextLength,
+  getInputBudget,
+  truncateToTokens,
+  splitIntoChunks,
+  prepareInput,
+  mapReduceEnhance,
+  enhanceWithinContext
+};
@@ -2,6 +2,13 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const os = require('os');
 const fs = require('fs').promises;
+const fsSync = require('fs');
+const { MIGRATIONS, LATEST_VERSION, getMigrationStatus, listBackups, migrate } = require('./history-migrations');
+const { contentHash, serializeInteractions, parseInteractions } = require('./history-transfer');
+const { redactValue } = require('./secret-redactor');
+
+// Thrown to roll back a dry-run import
+const DRY_RUN = Symbol('dry run');
 
 /**
  * Conversation History Manager
@@ -10,65 +17,78 @@ const fs = require('fs').promises;
 class ConversationHistory {
   constructor(dbPath = null) {
     this.dbPath = dbPath || path.join(os.homedir(), '.cache', 'claude-enhancer', 'history.db');
-    this.db = null;
-    this.initialize();
+    this.connection = null;
+  }
+
+  /**
+   * Open the database on first use
+   */
+  open() {
+    if (!this.connection) this.initialize();
+    return this.connection;
+  }
+
+  get db() {
+    return this.open();
+  }
+
+  get statements() {
+    this.open();
+    return this.preparedStatements;
+  }
+
+  /**
+   * The active session, restored from the last invocation
+   */
+  get currentSession() {
+    this.open();
+    return this.activeSession;
+  }
+
+  set currentSession(sessionId) {
+    this.open();
+    this.activeSession = sessionId;
   }
 
   /**
-   * Initialize database with tables
+   * Open the database and bring its schema up to date
+   * @param {Object} options - { quiet: don't announce upgrades }
    */
-  initialize() {
+  initialize(options = {}) {
     // Ensure directory exists
-    const dir = path.dirname(this.dbPath);
-    fs.mkdir(dir, { recursive: true }).catch(() => {});
-    
-    // Open database
-    this.db = new Database(this.dbPath);
+    fsSync.mkdirSync(path.dirname(this.dbPath), { recursive: true });
     
-    // Create tables
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS interactions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        prompt TEXT NOT NULL,
-        enhanced TEXT NOT NULL,
-        mode TEXT,
-        provider TEXT,
-        model TEXT,
-        use_ai BOOLEAN,
-        tokens_used INTEGER,
-        response_time INTEGER,
-        metadata TEXT
-      );
-      
-      CREATE TABLE IF NOT EXISTS sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id TEXT UNIQUE NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        title TEXT,
-        description TEXT
-      );
-      
-      CREATE TABLE IF NOT EXISTS session_interactions (
-        session_id TEXT,
-        interaction_id INTEGER,
-        position INTEGER,
-        FOREIGN KEY (session_id) REFERENCES sessions(session_id),
-        FOREIGN KEY (interaction_id) REFERENCES interactions(id)
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_timestamp ON interactions(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_mode ON interactions(mode);
-      CREATE INDEX IF NOT EXISTS idx_provider ON interactions(provider);
-      CREATE INDEX IF NOT EXISTS idx_session ON session_interactions(session_id);
-    `);
+    // Open database, backing up and upgrading ones from older versions
+    const db = new Database(this.dbPath);
+    try {
+      const result = migrate(db, { dbPath: this.dbPath });
+      this.migration = result;
+      if (result.backup && !options.quiet) {
+        console.warn(`Upgraded history database to schema v${result.to} (backup: ${result.backup})`);
+      }
+    } catch (error) {
+      db.close();
+      throw error;
+    }
+    this.connection = db;
     
     // Prepare statements
-    this.statements = {
+    this.preparedStatements = {
       saveInteraction: this.db.prepare(`
-        INSERT INTO interactions (prompt, enhanced, mode, provider, model, use_ai, tokens_used, response_time, metadata)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO interactions (prompt, enhanced, mode, provider, model, use_ai, tokens_used, prompt_tokens, completion_tokens, cached, response_time, metadata, parent_id, content_hash)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      
+      importInteraction: this.db.prepare(`
+        INSERT INTO interactions (timestamp, prompt, enhanced, mode, provider, model, use_ai, tokens_used, prompt_tokens, completion_tokens, cached, response_time, metadata, parent_id, content_hash)
+        VALUES (COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      
+      findByHash: this.db.prepare(`
+        SELECT id FROM interactions
+        WHERE content_hash = ?
+        ORDER BY id
+        LIMIT 1
       `),
       
       getRecent: this.db.prepare(`
@@ -82,11 +102,28 @@ class ConversationHistory {
         WHERE id = ?
       `),
       
-      search: this.db.prepare(`
-        SELECT * FROM interactions
-        WHERE prompt LIKE ? OR enhanced LIKE ?
-        ORDER BY timestamp DESC
-        LIMIT ?
+      getLineage: this.db.prepare(`
+        WITH RECURSIVE lineage(id, depth) AS (
+          SELECT id, 0 FROM interactions WHERE id = ?
+          UNION ALL
+          SELECT i.parent_id, l.depth + 1
+          FROM interactions i JOIN lineage l ON i.id = l.id
+          WHERE i.parent_id IS NOT NULL
+        )
+        SELECT i.*
+        FROM lineage l JOIN interactions i ON i.id = l.id
+        ORDER BY l.depth DESC
+      `),
+      
+      getDescendants: this.db.prepare(`
+        WITH RECURSIVE tree(id) AS (
+          SELECT ?
+          UNION ALL
+          SELECT i.id FROM interactions i JOIN tree t ON i.parent_id = t.id
+        )
+        SELECT i.*
+        FROM tree t JOIN interactions i ON i.id = t.id
+        ORDER BY i.id
       `),
       
       getStats: this.db.prepare(`
@@ -100,6 +137,43 @@ class ConversationHistory {
         ORDER BY mode_count DESC
       `),
       
+      getUsageTotals: this.db.prepare(`
+        SELECT
+          SUM(tokens_used) as tokens,
+          SUM(prompt_tokens) as prompt_tokens,
+          SUM(completion_tokens) as completion_tokens,
+          SUM(CASE WHEN cached IS NOT 1 AND timestamp >= datetime('now', '-60 seconds') THEN tokens_used END) as tokens_last_minute,
+          AVG(CASE WHEN use_ai = 1 THEN response_time END) as avg_response_time,
+          SUM(CASE WHEN cached = 1 THEN 1 ELSE 0 END) as cache_hits
+        FROM interactions
+      `),
+      
+      getProviderStats: this.db.prepare(`
+        SELECT
+          provider,
+          COUNT(*) as requests,
+          COALESCE(SUM(tokens_used), 0) as tokens,
+          AVG(response_time) as avg_response_time,
+          SUM(CASE WHEN cached = 1 THEN 1 ELSE 0 END) as cache_hits
+        FROM interactions
+        WHERE use_ai = 1
+        GROUP BY provider
+        ORDER BY requests DESC
+      `),
+      
+      getModelStats: this.db.prepare(`
+        SELECT
+          provider,
+          model,
+          COUNT(*) as requests,
+          COALESCE(SUM(tokens_used), 0) as tokens,
+          AVG(response_time) as avg_response_time
+        FROM interactions
+        WHERE use_ai = 1 AND model IS NOT NULL
+        GROUP BY provider, model
+        ORDER BY requests DESC
+      `),
+      
       getMostUsedMode: this.db.prepare(`
         SELECT mode, COUNT(*) as count
         FROM interactions
@@ -130,12 +204,86 @@ class ConversationHistory {
       addToSession: this.db.prepare(`
         INSERT INTO session_interactions (session_id, interaction_id, position)
         VALUES (?, ?, ?)
+      `),
+      
+      listSessions: this.db.prepare(`
+        SELECT s.*, COUNT(si.interaction_id) as interactions
+        FROM sessions s
+        LEFT JOIN session_interactions si ON s.session_id = si.session_id
+        GROUP BY s.session_id
+        ORDER BY s.updated_at DESC, s.id DESC
+      `),
+      
+      getSession: this.db.prepare(`
+        SELECT * FROM sessions
+        WHERE session_id = ?
+      `),
+      
+      renameSession: this.db.prepare(`
+        UPDATE sessions
+        SET title = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE session_id = ?
+      `),
+      
+      deleteSessionInteractions: this.db.prepare(`
+        DELETE FROM session_interactions
+        WHERE session_id = ?
+      `),
+      
+      deleteSession: this.db.prepare(`
+        DELETE FROM sessions
+        WHERE session_id = ?
+      `),
+      
+      getState: this.db.prepare(`
+        SELECT value FROM history_state
+        WHERE key = ?
+      `),
+      
+      setState: this.db.prepare(`
+        INSERT OR REPLACE INTO history_state (key, value)
+        VALUES (?, ?)
       `)
     };
+    
+    // Resume the active session from the last invocation
+    this.activeSession = this.getActiveSession();
+  }
+
+  /**
+   * Schema version, pending migrations and backups, without upgrading
+   */
+  getSchemaStatus() {
+    const exists = fsSync.existsSync(this.dbPath);
+    const details = { path: this.dbPath, exists, backups: listBackups(this.dbPath) };
+    if (!exists) {
+      return { ...details, version: 0, latest: LATEST_VERSION, applied: [], pending: MIGRATIONS };
+    }
+    
+    const db = this.connection || new Database(this.dbPath, { readonly: true, fileMustExist: true });
+    try {
+      return { ...details, ...getMigrationStatus(db) };
+    } finally {
+      if (db !== this.connection) db.close();
+    }
+  }
+
+  /**
+   * Apply pending migrations, backing up the database first
+   * @returns {{from: number, to: number, applied: Array, backup: string|null}}
+   */
+  migrateSchema() {
+    if (!this.connection) {
+      this.initialize({ quiet: true });
+      return this.migration;
+    }
+    return migrate(this.connection, { dbPath: this.dbPath });
   }
 
   /**
    * Save an interaction to history
+   * @param {Object} options - { mode, provider, model, useAI, tokensUsed, promptTokens, completionTokens,
+   *   cached, responseTime, parentId, metadata }
    */
   async saveInteraction(prompt, enhanced, options = {}) {
     try {
@@ -151,9 +299,14 @@ class ConversationHistory {
         options.provider || 'unknown',
         options.model || null,
         options.useAI ? 1 : 0,
-        options.tokensUsed || null,
-        options.responseTime || null,
-        metadata
+        options.tokensUsed ?? null,
+        options.promptTokens ?? null,
+        options.completionTokens ?? null,
+        options.cached === undefined ? null : (options.cached ? 1 : 0),
+        options.responseTime ?? null,
+        metadata,
+        options.parentId || null,
+        contentHash(prompt, enhanced)
       );
       
       // Add to current session if exists
@@ -163,6 +316,9 @@ class ConversationHistory {
         this.statements.updateSession.run(this.currentSession);
       }
       
+      // The newest interaction is the current version
+      this.setHead(result.lastInsertRowid);
+      
       return result.lastInsertRowid;
     } catch (error) {
       console.error('Failed to save interaction:', error.message);
@@ -186,6 +342,60 @@ class ConversationHistory {
     }
   }
 
+  /**
+   * Get an interaction by id
+   */
+  async getInteraction(id) {
+    const row = this.statements.getById.get(id);
+    return row ? { ...row, metadata: row.metadata ? JSON.parse(row.metadata) : {} } : null;
+  }
+
+  /**
+   * Get the current version: the latest interaction, or one restored with checkout
+   * @returns {number|null} Interaction id
+   */
+  getHead() {
+    const row = this.statements.getState.get('head');
+    const id = row && Number(row.value);
+    if (id && this.statements.getById.get(id)) return id;
+    
+    const [latest] = this.statements.getRecent.all(1);
+    return latest ? latest.id : null;
+  }
+
+  /**
+   * Set the current version, persisted across runs
+   */
+  setHead(interactionId) {
+    this.statements.setState.run('head', interactionId ? String(interactionId) : null);
+  }
+
+  /**
+   * Get the version tree an interaction belongs to
+   * @returns {Object|null} Root interaction with nested `children`
+   */
+  getVersionTree(interactionId) {
+    const lineage = this.statements.getLineage.all(interactionId);
+    if (lineage.length === 0) return null;
+    
+    const nodes = new Map();
+    for (const row of this.statements.getDescendants.all(lineage[0].id)) {
+      nodes.set(row.id, {
+        ...row,
+        metadata: row.metadata ? JSON.parse(row.metadata) : {},
+        children: []
+      });
+    }
+    
+    for (const node of nodes.values()) {
+      if (node.id !== lineage[0].id && nodes.has(node.parent_id)) {
+        nodes.get(node.parent_id).children.push(node);
+      }
+    }
+    
+    return nodes.get(lineage[0].id);
+  }
+
   /**
    * Get last interaction
    */
@@ -195,19 +405,64 @@ class ConversationHistory {
   }
 
   /**
-   * Search interactions
+   * Search interactions, best matches first
+   * Supports "exact phrases", prefix* terms and AND / OR / NOT
+   * @param {string} query - Search query
+   * @param {Object|number} options - { limit, mode, provider, model, since, until, highlight: [start, end] }
+   * @returns {Promise<Array>} Interactions with `rank` and highlighted `snippets`
    */
-  async search(query, limit = 20) {
+  async search(query, options = {}) {
+    const {
+      limit = 20,
+      mode,
+      provider,
+      model,
+      since,
+      until,
+      highlight = ['[', ']']
+    } = typeof options === 'number' ? { limit: options } : options;
+    
+    const filters = ['interactions_fts MATCH ?'];
+    const params = [toFtsQuery(query)];
+    
+    for (const [column, value] of [['mode', mode], ['provider', provider], ['model', model]]) {
+      if (value) {
+        filters.push(`i.${column} = ?`);
+        params.push(value);
+      }
+    }
+    if (since) {
+      filters.push('i.timestamp >= ?');
+      params.push(toTimestamp(since, 'since'));
+    }
+    if (until) {
+      filters.push('i.timestamp <= ?');
+      params.push(toTimestamp(until, 'until', true));
+    }
+    
     try {
-      const searchTerm = `%${query}%`;
-      const rows = this.statements.search.all(searchTerm, searchTerm, limit);
-      return rows.map(row => ({
+      const rows = this.db.prepare(`
+        SELECT i.*, bm25(interactions_fts) AS rank,
+          snippet(interactions_fts, 0, ?, ?, '…', 12) AS prompt_snippet,
+          snippet(interactions_fts, 1, ?, ?, '…', 12) AS enhanced_snippet
+        FROM interactions_fts
+        JOIN interactions i ON i.id = interactions_fts.rowid
+        WHERE ${filters.join(' AND ')}
+        ORDER BY rank
+        LIMIT ?
+      `).all(...highlight, ...highlight, ...params, limit);
+      
+      return rows.map(({ prompt_snippet, enhanced_snippet, ...row }) => ({
         ...row,
-        metadata: row.metadata ? JSON.parse(row.metadata) : {}
+        metadata: row.metadata ? JSON.parse(row.metadata) : {},
+        snippets: { prompt: prompt_snippet, enhanced: enhanced_snippet }
       }));
     } catch (error) {
-      console.error('Failed to search interactions:', error.message);
-      return [];
+      // FTS5 rejects some queries as syntax errors; anything else is passed on
+      if (/^fts5:/.test(error.message)) {
+        throw new Error(`Invalid search query: ${error.message}`);
+      }
+      throw error;
     }
   }
 
@@ -219,6 +474,8 @@ class ConversationHistory {
       const stats = this.statements.getStats.all();
       const mostUsed = this.statements.getMostUsedMode.get();
       
+      const totals = this.statements.getUsageTotals.get();
+      
       const total = stats.reduce((sum, stat) => sum + stat.total, 0);
       const unique = stats[0]?.unique_prompts || 0;
       
@@ -229,7 +486,30 @@ class ConversationHistory {
         modeBreakdown: stats.reduce((acc, stat) => {
           acc[stat.mode] = stat.mode_count;
           return acc;
-        }, {})
+        }, {}),
+        tokens: {
+          prompt: totals.prompt_tokens || 0,
+          completion: totals.completion_tokens || 0,
+          total: totals.tokens || 0,
+          // Sent to providers in the last 60 seconds, for rate limit budgets
+          lastMinute: totals.tokens_last_minute || 0
+        },
+        avgResponseTime: Math.round(totals.avg_response_time || 0),
+        cacheHits: totals.cache_hits || 0,
+        providers: this.statements.getProviderStats.all().map(row => ({
+          provider: row.provider,
+          requests: row.requests,
+          tokens: row.tokens,
+          avgResponseTime: Math.round(row.avg_response_time || 0),
+          cacheHits: row.cache_hits
+        })),
+        models: this.statements.getModelStats.all().map(row => ({
+          provider: row.provider,
+          model: row.model,
+          requests: row.requests,
+          tokens: row.tokens,
+          avgResponseTime: Math.round(row.avg_response_time || 0)
+        }))
       };
     } catch (error) {
       console.error('Failed to get stats:', error.message);
@@ -237,7 +517,12 @@ class ConversationHistory {
         total: 0,
         unique: 0,
         mostUsedMode: 'none',
-        modeBreakdown: {}
+        modeBreakdown: {},
+        tokens: { prompt: 0, completion: 0, total: 0, lastMinute: 0 },
+        avgResponseTime: 0,
+        cacheHits: 0,
+        providers: [],
+        models: []
       };
     }
   }
@@ -287,22 +572,252 @@ class ConversationHistory {
     return interactions.length;
   }
 
+  /**
+   * List sessions, most recently used first
+   */
+  listSessions() {
+    return this.statements.listSessions.all();
+  }
+
+  /**
+   * Find a session by list number, id or title
+   * @param {string} ref - Session number (shown by `session list`), session id, or title
+   * @returns {Object|null} Session row
+   */
+  findSession(ref) {
+    const sessions = this.listSessions();
+    const value = String(ref).trim();
+    
+    if (/^\d+$/.test(value)) {
+      return sessions.find(session => session.id === Number(value)) || null;
+    }
+    
+    const byId = sessions.find(session => session.session_id === value);
+    if (byId) return byId;
+    
+    const byTitle = sessions.filter(session => (session.title || '').toLowerCase() === value.toLowerCase());
+    if (byTitle.length > 1) {
+      throw new Error(`${byTitle.length} sessions are titled "${value}". Use the number from "enhance session list" instead`);
+    }
+    return byTitle[0] || null;
+  }
+
+  /**
+   * Get the session new interactions are added to
+   * @returns {string|null} Session id
+   */
+  getActiveSession() {
+    const row = this.statements.getState.get('activeSession');
+    if (!row || !row.value) return null;
+    
+    // The session may have been deleted by another process
+    return this.statements.getSession.get(row.value) ? row.value : null;
+  }
+
+  /**
+   * Set the session new interactions are added to, persisted across runs
+   * @param {string|null} sessionId - Session id, or null for none
+   */
+  setActiveSession(sessionId) {
+    if (sessionId && !this.statements.getSession.get(sessionId)) {
+      throw new Error(`Session '${sessionId}' not found`);
+    }
+    
+    this.statements.setState.run('activeSession', sessionId || null);
+    this.currentSession = sessionId || null;
+    
+    // Continue from the session's latest version
+    const interactions = sessionId ? this.getSessionInteractions(sessionId) : [];
+    if (interactions.length > 0) {
+      this.setHead(interactions[interactions.length - 1].id);
+    }
+  }
+
+  /**
+   * Rename a session
+   */
+  renameSession(sessionId, title) {
+    return this.statements.renameSession.run(title, sessionId).changes > 0;
+  }
+
+  /**
+   * Delete a session
+   * Its interactions stay in history
+   */
+  deleteSession(sessionId) {
+    const remove = this.db.transaction(() => {
+      this.statements.deleteSessionInteractions.run(sessionId);
+      return this.statements.deleteSession.run(sessionId).changes > 0;
+    });
+    
+    const deleted = remove();
+    if (deleted && this.currentSession === sessionId) {
+      this.setActiveSession(null);
+    }
+    return deleted;
+  }
+
+  /**
+   * Interactions as portable records, oldest first
+   * Ids are replaced by content hashes; with `redact`, secrets are masked and
+   * hashes describe the redacted content
+   * @param {Object} options - { session, mode, provider, model, since, until, redact }
+   * @returns {{records: Array<Object>, redacted: number}}
+   */
+  exportInteractions(options = {}) {
+    const filters = [];
+    const params = [];
+    
+    if (options.session) {
+      filters.push('i.id IN (SELECT interaction_id FROM session_interactions WHERE session_id = ?)');
+      params.push(options.session);
+    }
+    for (const [column, value] of [['mode', options.mode], ['provider', options.provider], ['model', options.model]]) {
+      if (value) {
+        filters.push(`i.${column} = ?`);
+        params.push(value);
+      }
+    }
+    if (options.since) {
+      filters.push('i.timestamp >= ?');
+      params.push(toTimestamp(options.since, 'since'));
+    }
+    if (options.until) {
+      filters.push('i.timestamp <= ?');
+      params.push(toTimestamp(options.until, 'until', true));
+    }
+    
+    const rows = this.db.prepare(`
+      SELECT i.*, p.prompt AS parent_prompt, p.enhanced AS parent_enhanced
+      FROM interactions i
+      LEFT JOIN interactions p ON p.id = i.parent_id
+      ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
+      ORDER BY i.timestamp, i.id
+    `).all(...params);
+    
+    let redacted = 0;
+    const clean = (value) => {
+      if (!options.redact) return value;
+      const result = redactValue(value);
+      redacted += result.count;
+      return result.value;
+    };
+    
+    const records = rows.map(row => {
+      const prompt = clean(row.prompt);
+      const enhanced = clean(row.enhanced);
+      const hasParent = row.parent_prompt !== null;
+      
+      return {
+        hash: contentHash(prompt, enhanced),
+        parent_hash: hasParent ? contentHash(clean(row.parent_prompt), clean(row.parent_enhanced)) : null,
+        timestamp: row.timestamp,
+        mode: row.mode,
+        provider: row.provider,
+        model: row.model,
+        use_ai: row.use_ai,
+        tokens_used: row.tokens_used,
+        prompt_tokens: row.prompt_tokens,
+        completion_tokens: row.completion_tokens,
+        cached: row.cached,
+        response_time: row.response_time,
+        prompt,
+        enhanced,
+        metadata: clean(row.metadata ? JSON.parse(row.metadata) : {})
+      };
+    });
+    
+    return { records, redacted };
+  }
+
+  /**
+   * Add exported records to history, skipping ones already present
+   * Duplicates are matched by content hash, so importing a file twice is a no-op.
+   * Refinement links are restored when the parent is in the file or already here.
+   * @param {Array<Object>} records - Records from exportInteractions or an older JSON export
+   * @param {Object} options - { redact, dryRun, source }
+   * @returns {{total: number, imported: number, duplicates: number, invalid: number, redacted: number}}
+   */
+  importInteractions(records, options = {}) {
+    const summary = { total: records.length, imported: 0, duplicates: 0, invalid: 0, redacted: 0 };
+    const imported = { at: new Date().toISOString(), ...(options.source && { from: options.source }) };
+    
+    // Hashes (or ids, in exports from before hashes) in the file → local ids
+    const linked = new Map();
+    const keyOf = (hash, id) => hash || (id !== undefined && id !== null ? `id:${id}` : null);
+    
+    const clean = (value) => {
+      if (!options.redact) return value;
+      const result = redactValue(value);
+      summary.redacted += result.count;
+      return result.value;
+    };
+    
+    const run = this.db.transaction(() => {
+      for (const record of records) {
+        if (!record || typeof record.prompt !== 'string' || typeof record.enhanced !== 'string' ||
+            !record.prompt.trim() || !record.enhanced.trim()) {
+          summary.invalid++;
+          continue;
+        }
+        
+        const prompt = clean(record.prompt);
+        const enhanced = clean(record.enhanced);
+        const metadata = clean(parseMetadata(record.metadata));
+        
+        const hash = contentHash(prompt, enhanced);
+        const key = keyOf(record.hash, record.id);
+        const existing = this.statements.findByHash.get(hash);
+        if (existing) {
+          if (key) linked.set(key, existing.id);
+          summary.duplicates++;
+          continue;
+        }
+        
+        const parentKey = keyOf(record.parent_hash, record.parent_id);
+        const parentId = (parentKey && linked.get(parentKey)) ||
+          (record.parent_hash && this.statements.findByHash.get(record.parent_hash)?.id) || null;
+        
+        const result = this.statements.importInteraction.run(
+          normalizeTimestamp(record.timestamp),
+          prompt,
+          enhanced,
+          record.mode || 'balanced',
+          record.provider || 'unknown',
+          record.model || null,
+          record.use_ai ? 1 : 0,
+          record.tokens_used ?? null,
+          record.prompt_tokens ?? null,
+          record.completion_tokens ?? null,
+          record.cached === undefined || record.cached === null ? null : (record.cached ? 1 : 0),
+          record.response_time ?? null,
+          JSON.stringify({ ...metadata, imported }),
+          parentId,
+          hash
+        );
+        
+        if (key) linked.set(key, result.lastInsertRowid);
+        summary.imported++;
+      }
+      
+      if (options.dryRun) throw DRY_RUN;
+    });
+    
+    try {
+      run();
+    } catch (error) {
+      if (error !== DRY_RUN) throw error;
+    }
+    return summary;
+  }
+
   /**
    * Export history to JSON
    */
   async exportToJSON(filePath) {
     try {
-      const all = this.db.prepare('SELECT * FROM interactions ORDER BY timestamp').all();
-      const data = {
-        exported: new Date().toISOString(),
-        version: '1.0',
-        interactions: all.map(row => ({
-          ...row,
-          metadata: row.metadata ? JSON.parse(row.metadata) : {}
-        }))
-      };
-      
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+      const { records } = this.exportInteractions();
+      await fs.writeFile(filePath, serializeInteractions(records, 'json'));
       return true;
     } catch (error) {
       console.error('Failed to export history:', error.message);
@@ -311,36 +826,12 @@ class ConversationHistory {
   }
 
   /**
-   * Import history from JSON
+   * Import history from JSON, skipping interactions already present
    */
   async importFromJSON(filePath) {
     try {
       const content = await fs.readFile(filePath, 'utf8');
-      const data = JSON.parse(content);
-      
-      const stmt = this.db.prepare(`
-        INSERT INTO interactions (timestamp, prompt, enhanced, mode, provider, model, use_ai, tokens_used, response_time, metadata)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-      
-      const importMany = this.db.transaction((interactions) => {
-        for (const interaction of interactions) {
-          stmt.run(
-            interaction.timestamp,
-            interaction.prompt,
-            interaction.enhanced,
-            interaction.mode,
-            interaction.provider,
-            interaction.model,
-            interaction.use_ai,
-            interaction.tokens_used,
-            interaction.response_time,
-            typeof interaction.metadata === 'string' ? interaction.metadata : JSON.stringify(interaction.metadata)
-          );
-        }
-      });
-      
-      importMany(data.interactions);
+      this.importInteractions(parseInteractions(content, 'json'), { source: path.basename(filePath) });
       return true;
     } catch (error) {
       console.error('Failed to import history:', error.message);
@@ -350,10 +841,17 @@ class ConversationHistory {
 
   /**
    * Get conversation context
+   * With an interaction id, returns that interaction and the versions it was
+   * refined from; otherwise the most recent interactions. Oldest first.
    */
-  async getContext(limit = 5) {
-    const recent = await this.getRecent(limit);
-    return recent.reverse().map(interaction => ({
+  async getContext(limit = 5, interactionId = null) {
+    const interactions = interactionId
+      ? this.statements.getLineage.all(interactionId).slice(-limit)
+      : (await this.getRecent(limit)).reverse();
+    
+    return interactions.map(interaction => ({
+      id: interaction.id,
+      parentId: interaction.parent_id || null,
       prompt: interaction.prompt,
       response: interaction.enhanced,
       timestamp: interaction.timestamp
@@ -368,6 +866,8 @@ class ConversationHistory {
       this.db.exec('DELETE FROM interactions');
       this.db.exec('DELETE FROM sessions');
       this.db.exec('DELETE FROM session_interactions');
+      this.db.exec('DELETE FROM history_state');
+      this.currentSession = null;
       return true;
     } catch (error) {
       console.error('Failed to clear history:', error.message);
@@ -379,10 +879,73 @@ class ConversationHistory {
    * Close database connection
    */
   close() {
-    if (this.db) {
-      this.db.close();
+    if (this.connection) {
+      this.connection.close();
+      this.connection = null;
     }
   }
 }
 
-module.exports = ConversationHistory;
\ No newline at end of file
+/**
+ * Turn user input into a safe FTS5 query
+ * Words and "phrases" are quoted so punctuation can't break the syntax;
+ * a trailing * keeps prefix search and AND / OR / NOT stay operators
+ */
+function toFtsQuery(query) {
+  const tokens = String(query).match(/"[^"]*"\*?|\S+/g) || [];
+  const terms = tokens.map(token => {
+    if (['AND', 'OR', 'NOT'].includes(token)) return token;
+    
+    const prefix = token.endsWith('*');
+    const text = token.replace(/\*$/, '').replace(/^"|"$/g, '');
+    if (!text) return null;
+    return `"${text.replace(/"/g, '""')}"${prefix ? '*' : ''}`;
+  }).filter(Boolean);
+  
+  if (terms.length === 0) {
+    throw new Error('Search query is empty');
+  }
+  return terms.join(' ');
+}
+
+/**
+ * Convert a date filter to the timestamp format SQLite stores (UTC)
+ * Date-only `until` values include the whole day
+ */
+function toTimestamp(value, name, endOfDay = false) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --${name} date "${value}". Use YYYY-MM-DD or an ISO timestamp`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+    date.setUTCHours(23, 59, 59);
+  }
+  return date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+/**
+ * Timestamp from an import file, in the format SQLite stores (UTC)
+ * Returns null for missing or unreadable values so the import time is used
+ */
+function normalizeTimestamp(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) return value;
+  
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+/**
+ * Metadata from an import file, as an object
+ */
+function parseMetadata(metadata) {
+  if (!metadata) return {};
+  if (typeof metadata === 'object') return metadata;
+  try {
+    return JSON.parse(metadata);
+  } catch {
+    return {};
+  }
+}
+
+module.exports = ConversationHistory;
@@ -3,6 +3,8 @@
  * Next-generation prompt templates with adaptive enhancement
  */
 
+const { renderBundledPartial } = require('./template-library');
+
 const enhancedModes = {
   // Existing modes with ML enhancements
   balanced: {
@@ -18,17 +20,11 @@ ${input}
 Domain: ${domain}
 Complexity: ${complexity}
 
-Requirements:
-- Provide a comprehensive response tailored to the ${domain} domain
-- Adjust detail level based on ${complexity} complexity
-- Structure your answer with clear sections and transitions
-- Include relevant examples from the ${domain} field
-- Validate reasoning with domain-specific knowledge
+${renderBundledPartial('response-requirements', { domain, complexity })}
 
 ${getContextualHints(domain, complexity)}
 
-Expected Output:
-A well-structured, domain-aware response that matches the complexity level of the query with appropriate depth and technical accuracy.`;
+${renderBundledPartial('expected-output', { domain })}`;
     }
   },
 
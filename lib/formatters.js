@@ -0,0 +1,60 @@
+/**
+ * Output Formatters
+ * Transform the final enhanced prompt before it is printed or saved
+ */
+
+const builtInFormatters = {
+  text: (enhanced) => enhanced,
+
+  markdown: (enhanced, metadata = {}) => {
+    const details = [
+      metadata.mode && `- **Mode:** ${metadata.mode}`,
+      metadata.provider && `- **Provider:** ${metadata.provider}`,
+      metadata.model && `- **Model:** ${metadata.model}`
+    ].filter(Boolean).join('\n');
+
+    return `# Enhanced Prompt\n\n${details ? `${details}\n\n` : ''}${enhanced}\n`;
+  },
+
+  json: (enhanced, metadata = {}) => JSON.stringify({
+    input: metadata.input,
+    enhanced,
+    mode: metadata.mode,
+    provider: metadata.provider,
+    model: metadata.model || undefined,
+    usage: metadata.usage || undefined,
+    latency: metadata.latency ?? undefined,
+    cached: metadata.cached || undefined,
+    fallback: metadata.fallback && metadata.fallback.length ? metadata.fallback : undefined
+  }, null, 2)
+};
+
+/**
+ * Get a formatter by name, including plugin formatters
+ * @param {string} name - Formatter name
+ * @returns {Function} (enhanced, metadata) => string
+ */
+function getFormatter(name) {
+  const formatters = getAllFormatters();
+  const formatter = formatters[name];
+
+  if (!formatter) {
+    throw new Error(`Unknown output format '${name}'. Available formats: ${Object.keys(formatters).join(', ')}`);
+  }
+
+  return formatter;
+}
+
+/**
+ * Get all formatters keyed by name
+ */
+function getAllFormatters() {
+  const { getPluginManager } = require('./plugins');
+  return { ...builtInFormatters, ...getPluginManager().formatters };
+}
+
+module.exports = {
+  builtInFormatters,
+  getFormatter,
+  getAllFormatters
+};
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const { contentHash } = require('./history-transfer');
+
+/**
+ * History Database Migrations
+ * Ordered schema changes for history.db, tracked with PRAGMA user_version.
+ * Pending migrations run in order, each in its own transaction, after the
+ * database is backed up to backups/history-v<version>-<timestamp>.db
+ *
+ * Databases created before versioning report version 0 but may already have
+ * some of these tables, so migrations must tolerate existing objects.
+ * Never edit a released migration; append a new one.
+ */
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Interactions and sessions',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS interactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          prompt TEXT NOT NULL,
+          enhanced TEXT NOT NULL,
+          mode TEXT,
+          provider TEXT,
+          model TEXT,
+          use_ai BOOLEAN,
+          tokens_used INTEGER,
+          response_time INTEGER,
+          metadata TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT UNIQUE NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          title TEXT,
+          description TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS session_interactions (
+          session_id TEXT,
+          interaction_id INTEGER,
+          position INTEGER,
+          FOREIGN KEY (session_id) REFERENCES sessions(session_id),
+          FOREIGN KEY (interaction_id) REFERENCES interactions(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_timestamp ON interactions(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_mode ON interactions(mode);
+        CREATE INDEX IF NOT EXISTS idx_provider ON interactions(provider);
+        CREATE INDEX IF NOT EXISTS idx_session ON session_interactions(session_id);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'Refinement parent links',
+    up(db) {
+      const columns = db.prepare('PRAGMA table_info(interactions)').all();
+      if (!columns.some(column => column.name === 'parent_id')) {
+        db.exec('ALTER TABLE interactions ADD COLUMN parent_id INTEGER REFERENCES interactions(id)');
+      }
+      db.exec('CREATE INDEX IF NOT EXISTS idx_parent ON interactions(parent_id)');
+    }
+  },
+  {
+    version: 3,
+    name: 'Active session and current version state',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS history_state (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'Full-text search index',
+    up(db) {
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS interactions_fts USING fts5(
+          prompt, enhanced,
+          content = 'interactions', content_rowid = 'id',
+          tokenize = 'porter unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS interactions_fts_insert AFTER INSERT ON interactions BEGIN
+          INSERT INTO interactions_fts (rowid, prompt, enhanced) VALUES (new.id, new.prompt, new.enhanced);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS interactions_fts_delete AFTER DELETE ON interactions BEGIN
+          INSERT INTO interactions_fts (interactions_fts, rowid, prompt, enhanced) VALUES ('delete', old.id, old.prompt, old.enhanced);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS interactions_fts_update AFTER UPDATE OF prompt, enhanced ON interactions BEGIN
+          INSERT INTO interactions_fts (interactions_fts, rowid, prompt, enhanced) VALUES ('delete', old.id, old.prompt, old.enhanced);
+          INSERT INTO interactions_fts (rowid, prompt, enhanced) VALUES (new.id, new.prompt, new.enhanced);
+        END;
+
+        -- Index interactions saved before the index existed
+        INSERT INTO interactions_fts (interactions_fts) VALUES ('rebuild');
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'Prompt and completion tokens, cache hits',
+    up(db) {
+      db.exec(`
+        ALTER TABLE interactions ADD COLUMN prompt_tokens INTEGER;
+        ALTER TABLE interactions ADD COLUMN completion_tokens INTEGER;
+        ALTER TABLE interactions ADD COLUMN cached BOOLEAN;
+        CREATE INDEX IF NOT EXISTS idx_model ON interactions(model);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'Content hashes for import deduplication',
+    up(db) {
+      db.exec(`
+        ALTER TABLE interactions ADD COLUMN content_hash TEXT;
+        CREATE INDEX IF NOT EXISTS idx_content_hash ON interactions(content_hash);
+      `);
+
+      const update = db.prepare('UPDATE interactions SET content_hash = ? WHERE id = ?');
+      for (const row of db.prepare('SELECT id, prompt, enhanced FROM interactions').all()) {
+        update.run(contentHash(row.prompt, row.enhanced), row.id);
+      }
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Schema version of an open database
+ */
+function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Directory holding pre-migration backups of a database
+ */
+function getBackupDir(dbPath) {
+  return path.join(path.dirname(dbPath), 'backups');
+}
+
+/**
+ * List backups of a database, newest first
+ * @returns {Array<{file: string, version: number, size: number, created: Date}>}
+ */
+function listBackups(dbPath) {
+  const dir = getBackupDir(dbPath);
+  const prefix = path.basename(dbPath, path.extname(dbPath));
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .map(name => ({ name, match: name.match(new RegExp(`^${prefix}-v(\\d+)-.*\\.db$`)) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => {
+      const file = path.join(dir, name);
+      const stats = fs.statSync(file);
+      return { file, version: Number(match[1]), size: stats.size, created: stats.mtime };
+    })
+    .sort((a, b) => b.created - a.created);
+}
+
+/**
+ * Copy a database to the backup directory
+ * @returns {string} Backup file path
+ */
+function backupDatabase(db, dbPath, version) {
+  const dir = getBackupDir(dbPath);
+  const prefix = path.basename(dbPath, path.extname(dbPath));
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(dir, `${prefix}-v${version}-${stamp}.db`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  db.prepare('VACUUM INTO ?').run(file);
+  return file;
+}
+
+/**
+ * Compare a database against the known migrations
+ * @returns {{version: number, latest: number, applied: Array, pending: Array}}
+ */
+function getMigrationStatus(db) {
+  const version = getSchemaVersion(db);
+
+  if (version > LATEST_VERSION) {
+    throw new Error(`History database is at schema v${version}, newer than this version of enhance supports (v${LATEST_VERSION}). Upgrade the CLI to use it.`);
+  }
+
+  return {
+    version,
+    latest: LATEST_VERSION,
+    applied: MIGRATIONS.filter(migration => migration.version <= version),
+    pending: MIGRATIONS.filter(migration => migration.version > version)
+  };
+}
+
+/**
+ * Bring a database up to the latest schema
+ * A database with existing tables is backed up before the first migration runs
+ * @param {Object} options - { dbPath, backup: false to skip the backup, dryRun }
+ * @returns {{from: number, to: number, applied: Array, pending: Array, backup: string|null}}
+ */
+function migrate(db, options = {}) {
+  const { version, pending } = getMigrationStatus(db);
+  const result = { from: version, to: version, applied: [], pending, backup: null };
+
+  if (pending.length === 0 || options.dryRun) {
+    return result;
+  }
+
+  const hasTables = db.prepare(`
+    SELECT 1 FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' LIMIT 1
+  `).get();
+
+  if (hasTables && options.backup !== false && options.dbPath) {
+    result.backup = backupDatabase(db, options.dbPath, version);
+  }
+
+  for (const migration of pending) {
+    const apply = db.transaction(() => {
+      migration.up(db);
+      db.pragma(`user_version = ${migration.version}`);
+    });
+
+    try {
+      apply();
+    } catch (error) {
+      const restore = result.backup ? ` A backup taken before migrating is at ${result.backup}` : '';
+      throw new Error(`History migration v${migration.version} (${migration.name}) failed: ${error.message}.${restore}`);
+    }
+
+    result.applied.push(migration);
+    result.to = migration.version;
+  }
+
+  result.pending = [];
+  return result;
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  getSchemaVersion,
+  getMigrationStatus,
+  listBackups,
+  backupDatabase,
+  migrate
+};
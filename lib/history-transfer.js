@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * History Transfer Formats
+ * Serializes interactions for `enhance history export` and parses them back
+ * for `enhance history import`: JSON, JSON Lines, CSV and Markdown.
+ *
+ * Records are portable: database ids are replaced by content hashes, and
+ * refinement links point at the parent's hash so they survive the move to
+ * another database.
+ */
+
+const TRANSFER_FORMATS = ['json', 'jsonl', 'csv', 'markdown'];
+
+const FORMAT_EXTENSIONS = {
+  '.json': 'json',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.csv': 'csv',
+  '.md': 'markdown',
+  '.markdown': 'markdown'
+};
+
+const TRANSFER_VERSION = '2.0';
+
+// Record fields, in CSV column order
+const FIELDS = [
+  'hash', 'parent_hash', 'timestamp', 'mode', 'provider', 'model', 'use_ai',
+  'tokens_used', 'prompt_tokens', 'completion_tokens', 'cached', 'response_time',
+  'prompt', 'enhanced', 'metadata'
+];
+
+const NUMBER_FIELDS = ['tokens_used', 'prompt_tokens', 'completion_tokens', 'response_time'];
+const FLAG_FIELDS = ['use_ai', 'cached'];
+
+// Markdown labels for the fields listed under each interaction
+const MARKDOWN_LABELS = {
+  hash: 'Hash',
+  parent_hash: 'Refines',
+  timestamp: 'Date',
+  mode: 'Mode',
+  provider: 'Provider',
+  model: 'Model',
+  use_ai: 'AI',
+  tokens_used: 'Tokens',
+  prompt_tokens: 'Prompt tokens',
+  completion_tokens: 'Completion tokens',
+  cached: 'Cached',
+  response_time: 'Response time (ms)'
+};
+
+/**
+ * Hash identifying an interaction's content, used to skip duplicates on import
+ */
+function contentHash(prompt, enhanced) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([prompt, enhanced]))
+    .digest('hex');
+}
+
+/**
+ * Pick a format from an explicit option or the file extension
+ */
+function detectFormat(filePath, format) {
+  if (format) {
+    const lower = format.toLowerCase();
+    const normalized = lower === 'md' ? 'markdown' : lower;
+    if (!TRANSFER_FORMATS.includes(normalized)) {
+      throw new Error(`Unknown format '${format}'. Use one of: ${TRANSFER_FORMATS.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  return (filePath && FORMAT_EXTENSIONS[path.extname(filePath).toLowerCase()]) || 'json';
+}
+
+/**
+ * Serialize records in a transfer format
+ * @returns {string}
+ */
+function serializeInteractions(records, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({
+        exported: new Date().toISOString(),
+        version: TRANSFER_VERSION,
+        count: records.length,
+        interactions: records
+      }, null, 2) + '\n';
+    case 'jsonl':
+      return records.map(record => JSON.stringify(record) + '\n').join('');
+    case 'csv':
+      return toCsv(records);
+    case 'markdown':
+      return toMarkdown(records);
+    default:
+      throw new Error(`Unknown format '${format}'. Use one of: ${TRANSFER_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Parse records from a transfer format
+ * JSON also accepts a bare array and exports from before hashes were added
+ * @returns {Array<Object>}
+ */
+function parseInteractions(content, format) {
+  switch (format) {
+    case 'json': {
+      const data = JSON.parse(content);
+      const records = Array.isArray(data) ? data : data.interactions;
+      if (!Array.isArray(records)) {
+        throw new Error('JSON import must be an array or an object with an "interactions" array');
+      }
+      return records;
+    }
+    case 'jsonl':
+      return content.split('\n')
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line)
+        .map(({ line, number }) => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            throw new Error(`Invalid JSON on line ${number}: ${error.message}`);
+          }
+        });
+    case 'csv':
+      return fromCsv(content);
+    case 'markdown':
+      return fromMarkdown(content);
+    default:
+      throw new Error(`Unknown format '${format}'. Use one of: ${TRANSFER_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Convert text fields from CSV or Markdown back to numbers and flags
+ */
+function coerceRecord(record) {
+  const result = { ...record };
+  for (const field of NUMBER_FIELDS) {
+    if (field in result) {
+      result[field] = result[field] === '' || result[field] == null ? null : Number(result[field]);
+    }
+  }
+  for (const field of FLAG_FIELDS) {
+    if (field in result && typeof result[field] === 'string') {
+      const value = result[field].toLowerCase();
+      result[field] = value === '' ? null : (['1', 'true', 'yes'].includes(value) ? 1 : 0);
+    }
+  }
+  if (typeof result.metadata === 'string') {
+    result.metadata = result.metadata ? JSON.parse(result.metadata) : {};
+  }
+  for (const field of ['hash', 'parent_hash', 'model']) {
+    if (result[field] === '') result[field] = null;
+  }
+  return result;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  const lines = [FIELDS.join(',')];
+  for (const record of records) {
+    lines.push(FIELDS.map(field => csvCell(record[field])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV (RFC 4180: quoted cells may contain commas, quotes and newlines)
+ */
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Invalid CSV: unterminated quoted cell');
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+function fromCsv(content) {
+  const [header, ...rows] = parseCsvRows(content.replace(/^\uFEFF/, ''));
+  if (!header || !header.includes('prompt') || !header.includes('enhanced')) {
+    throw new Error('CSV import needs a header row with "prompt" and "enhanced" columns');
+  }
+
+  return rows.map(cells => coerceRecord(
+    Object.fromEntries(header.map((column, index) => [column.trim(), cells[index] ?? '']))
+  ));
+}
+
+/**
+ * Fence a block with more backticks than it contains, so content can't close it
+ */
+function fence(text, language = 'text') {
+  const longest = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(Math.max(3, longest + 1));
+  return `${marker}${language}\n${text}\n${marker}`;
+}
+
+function toMarkdown(records) {
+  const lines = [
+    '# Prompt History',
+    '',
+    `Exported ${new Date().toISOString()} · ${records.length} interaction${records.length === 1 ? '' : 's'}`,
+    ''
+  ];
+
+  records.forEach((record, index) => {
+    const summary = record.prompt.replace(/\s+/g, ' ').trim();
+    lines.push(`## ${index + 1}. ${summary.length > 60 ? `${summary.substring(0, 60)}...` : summary}`, '');
+
+    for (const [field, label] of Object.entries(MARKDOWN_LABELS)) {
+      if (record[field] !== null && record[field] !== undefined) {
+        const value = FLAG_FIELDS.includes(field) ? (record[field] ? 'yes' : 'no') : record[field];
+        lines.push(`- **${label}:** ${value}`);
+      }
+    }
+
+    lines.push('', '### Prompt', '', fence(record.prompt), '', '### Enhanced', '', fence(record.enhanced), '');
+    if (record.metadata && Object.keys(record.metadata).length > 0) {
+      lines.push('### Metadata', '', fence(JSON.stringify(record.metadata, null, 2), 'json'), '');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+function fromMarkdown(content) {
+  const fieldsByLabel = Object.fromEntries(Object.entries(MARKDOWN_LABELS).map(([field, label]) => [label, field]));
+  const records = [];
+  let record = null;
+  let block = null;
+
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (/^## /.test(line)) {
+      record = {};
+      records.push(record);
+      continue;
+    }
+    if (!record) continue;
+
+    const heading = line.match(/^### (Prompt|Enhanced|Metadata)\s*$/);
+    if (heading) {
+      block = { Prompt: 'prompt', Enhanced: 'enhanced', Metadata: 'metadata' }[heading[1]];
+      continue;
+    }
+
+    const field = line.match(/^- \*\*(.+?):\*\* (.*)$/);
+    if (field && fieldsByLabel[field[1]]) {
+      record[fieldsByLabel[field[1]]] = field[2];
+      continue;
+    }
+
+    // A fenced block belongs to the heading before it
+    const open = line.match(/^(`{3,})\w*\s*$/);
+    if (open && block) {
+      const body = [];
+      for (i++; i < lines.length && lines[i] !== open[1]; i++) {
+        body.push(lines[i]);
+      }
+      record[block] = body.join('\n');
+      block = null;
+    }
+  }
+
+  return records.map(coerceRecord);
+}
+
+module.exports = {
+  TRANSFER_FORMATS,
+  FIELDS,
+  contentHash,
+  detectFormat,
+  serializeInteractions,
+  parseInteractions
+};
@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const BaseProvider = require('./providers/base-provider');
+
+/**
+ * Plugin Manager
+ * Discovers and loads third-party plugins that contribute providers,
+ * enhancement modes, test assertions, output formatters and tokenizers
+ *
+ * A plugin is a CommonJS module exporting:
+ *   {
+ *     name: 'my-plugin',            // optional, defaults to package name
+ *     version: '1.0.0',             // optional, defaults to package version
+ *     apiVersion: 1,                // required, see PLUGIN_API_VERSION
+ *     register(api) { ... }         // required
+ *   }
+ *
+ * Plugins are discovered from:
+ *   - npm packages named claude-enhancer-plugin-* (or @scope/claude-enhancer-plugin-*)
+ *     in ./node_modules, the CLI's own node_modules and the global node_modules
+ *   - directories or .js files in ~/.config/claude-enhancer/plugins
+ *   - plugin directories listed in CLAUDE_ENHANCER_PLUGIN_PATH
+ */
+
+const PLUGIN_API_VERSION = 1;
+const PACKAGE_PREFIX = 'claude-enhancer-plugin-';
+
+// Built-in assertion keys that plugins and assertion modules cannot override
+const BUILT_IN_ASSERTIONS = [
+  'contains', 'not_contains', 'matches', 'flags', 'min_length', 'max_length',
+  'min_lines', 'has_sections', 'custom', 'quality', 'description', 'timeout'
+];
+
+class PluginManager {
+  constructor(options = {}) {
+    this.pluginDir = options.pluginDir || path.join(os.homedir(), '.config', 'claude-enhancer', 'plugins');
+    this.plugins = [];
+    this.providers = [];
+    this.modes = {};
+    this.assertions = {};
+    this.formatters = {};
+    this.tokenizers = {};
+    this.loaded = false;
+  }
+
+  /**
+   * Get npm module directories to scan
+   */
+  getModuleDirectories() {
+    const globalPrefix = path.dirname(path.dirname(process.execPath));
+    const globalModules = process.platform === 'win32'
+      ? path.join(path.dirname(process.execPath), 'node_modules')
+      : path.join(globalPrefix, 'lib', 'node_modules');
+
+    return [
+      path.join(process.cwd(), 'node_modules'),
+      path.join(__dirname, '..', 'node_modules'),
+      globalModules
+    ];
+  }
+
+  /**
+   * Discover plugins without loading them
+   * @returns {Array<{name: string, path: string, source: string}>}
+   */
+  discover() {
+    const found = [];
+    const seen = new Set();
+
+    const add = (name, pluginPath, source) => {
+      const resolved = path.resolve(pluginPath);
+      if (seen.has(name) || seen.has(resolved)) return;
+      seen.add(name);
+      seen.add(resolved);
+      found.push({ name, path: resolved, source });
+    };
+
+    // npm packages
+    for (const dir of this.getModuleDirectories()) {
+      for (const entry of this.readDirectory(dir)) {
+        if (entry.startsWith(PACKAGE_PREFIX)) {
+          add(entry, path.join(dir, entry), 'npm');
+        } else if (entry.startsWith('@')) {
+          for (const scoped of this.readDirectory(path.join(dir, entry))) {
+            if (scoped.startsWith(PACKAGE_PREFIX)) {
+              add(`${entry}/${scoped}`, path.join(dir, entry, scoped), 'npm');
+            }
+          }
+        }
+      }
+    }
+
+    // Local plugin directory
+    for (const entry of this.readDirectory(this.pluginDir)) {
+      const fullPath = path.join(this.pluginDir, entry);
+      if (entry.endsWith('.js') || this.isDirectory(fullPath)) {
+        add(entry.replace(/\.js$/, ''), fullPath, 'local');
+      }
+    }
+
+    // Explicit plugin paths
+    const extraPaths = (process.env.CLAUDE_ENHANCER_PLUGIN_PATH || '')
+      .split(path.delimiter)
+      .filter(Boolean);
+    for (const pluginPath of extraPaths) {
+      add(path.basename(pluginPath).replace(/\.js$/, ''), pluginPath, 'path');
+    }
+
+    return found;
+  }
+
+  /**
+   * Load all discovered plugins once
+   * Set ENABLE_PLUGINS=false to skip loading
+   */
+  loadAll() {
+    if (this.loaded) return this.plugins;
+    this.loaded = true;
+
+    if (process.env.ENABLE_PLUGINS === 'false') {
+      return this.plugins;
+    }
+
+    for (const candidate of this.discover()) {
+      this.plugins.push(this.load(candidate));
+    }
+
+    return this.plugins;
+  }
+
+  /**
+   * Load and register a single plugin
+   * Failures are recorded on the plugin entry instead of thrown
+   */
+  load(candidate) {
+    const plugin = {
+      name: candidate.name,
+      version: null,
+      source: candidate.source,
+      path: candidate.path,
+      status: 'loaded',
+      error: null,
+      contributes: { providers: [], modes: [], assertions: [], formatters: [], tokenizers: [] }
+    };
+
+    let exported;
+    try {
+      exported = require(candidate.path);
+    } catch (error) {
+      return { ...plugin, status: 'failed', error: `Cannot load module: ${error.message}` };
+    }
+
+    const packageInfo = this.readPackageInfo(candidate.path);
+    plugin.name = exported.name || packageInfo.name || candidate.name;
+    plugin.version = exported.version || packageInfo.version || null;
+
+    if (typeof exported.register !== 'function') {
+      return { ...plugin, status: 'failed', error: 'Plugin must export a register(api) function' };
+    }
+
+    if (exported.apiVersion !== PLUGIN_API_VERSION) {
+      return {
+        ...plugin,
+        status: 'incompatible',
+        error: `Plugin targets API version ${exported.apiVersion === undefined ? '(none)' : exported.apiVersion}, this CLI supports version ${PLUGIN_API_VERSION}`
+      };
+    }
+
+    // Collect registrations first so a failing plugin leaves no partial state
+    const pending = { providers: [], modes: {}, assertions: {}, formatters: {}, tokenizers: {} };
+
+    try {
+      exported.register(this.createApi(plugin, pending));
+    } catch (error) {
+      return { ...plugin, status: 'failed', error: `register() failed: ${error.message}` };
+    }
+
+    this.providers.push(...pending.providers);
+    Object.assign(this.modes, pending.modes);
+    Object.assign(this.assertions, pending.assertions);
+    Object.assign(this.formatters, pending.formatters);
+    Object.assign(this.tokenizers, pending.tokenizers);
+
+    plugin.contributes = {
+      providers: pending.providers.map(p => p.name),
+      modes: Object.keys(pending.modes),
+      assertions: Object.keys(pending.assertions),
+      formatters: Object.keys(pending.formatters),
+      tokenizers: Object.keys(pending.tokenizers)
+    };
+
+    return plugin;
+  }
+
+  /**
+   * Build the API object handed to a plugin's register()
+   */
+  createApi(plugin, pending) {
+    const owner = plugin.name;
+
+    return {
+      apiVersion: PLUGIN_API_VERSION,
+      BaseProvider,
+
+      /**
+       * Register a provider class
+       * @param {string} name - Provider name (also usable as `type` in providers.yaml)
+       * @param {Function} ProviderClass - BaseProvider subclass
+       * @param {Object} config - Constructor config for the default instance
+       */
+      registerProvider: (name, ProviderClass, config = {}) => {
+        this.assertName('provider', name);
+        if (typeof ProviderClass !== 'function' || !(ProviderClass.prototype instanceof BaseProvider)) {
+          throw new Error(`Provider '${name}' must extend api.BaseProvider`);
+        }
+        if (this.providers.some(p => p.name === name) || pending.providers.some(p => p.name === name)) {
+          throw new Error(`Provider '${name}' is already registered`);
+        }
+        pending.providers.push({ name, ProviderClass, config, plugin: owner });
+      },
+
+      /**
+       * Register an enhancement mode
+       * @param {string} key - Mode key used with --mode
+       * @param {Object} mode - { name, description, enhance(input, context) }
+       */
+      registerMode: (key, mode) => {
+        this.assertName('mode', key);
+        if (!mode || typeof mode.enhance !== 'function') {
+          throw new Error(`Mode '${key}' must provide an enhance(input, context) function`);
+        }
+        // Required lazily to avoid loading templates when no plugin registers modes
+        const { getAllTemplates } = require('./templates');
+        if (getAllTemplates()[key] || this.modes[key] || pending.modes[key]) {
+          throw new Error(`Mode '${key}' is already defined`);
+        }
+        pending.modes[key] = {
+          name: mode.name || key,
+          description: mode.description || `Provided by ${owner}`,
+          enhance: mode.enhance,
+          plugin: owner
+        };
+      },
+
+      /**
+       * Register a test-runner assertion type
+       * @param {string} type - Assertion key used in test files
+       * @param {Function} fn - (result, value, assertion) => boolean | { passed, description, reason }
+       */
+      registerAssertion: (type, fn) => {
+        this.assertName('assertion', type);
+        if (typeof fn !== 'function') {
+          throw new Error(`Assertion '${type}' must be a function`);
+        }
+        if (BUILT_IN_ASSERTIONS.includes(type) || this.assertions[type] || pending.assertions[type]) {
+          throw new Error(`Assertion '${type}' is already defined`);
+        }
+        pending.assertions[type] = fn;
+      },
+
+      /**
+       * Register an output formatter
+       * @param {string} name - Formatter name used with --format
+       * @param {Function} fn - (enhanced, metadata) => string
+       */
+      registerFormatter: (name, fn) => {
+        this.assertName('formatter', name);
+        if (typeof fn !== 'function') {
+          throw new Error(`Formatter '${name}' must be a function`);
+        }
+        const { builtInFormatters } = require('./formatters');
+        if (builtInFormatters[name] || this.formatters[name] || pending.formatters[name]) {
+          throw new Error(`Formatter '${name}' is already defined`);
+        }
+        pending.formatters[name] = fn;
+      },
+
+      /**
+       * Register a tokenizer for a model family
+       * @param {string} name - Tokenizer name
+       * @param {Object} tokenizer - { match: RegExp | (modelId) => boolean, count(text), exact, description }
+       */
+      registerTokenizer: (name, tokenizer) => {
+        this.assertName('tokenizer', name);
+        if (!tokenizer || typeof tokenizer.count !== 'function' || !tokenizer.match) {
+          throw new Error(`Tokenizer '${name}' must provide match and count(text)`);
+        }
+        const { builtInTokenizers } = require('./tokenizers');
+        if (builtInTokenizers[name] || this.tokenizers[name] || pending.tokenizers[name]) {
+          throw new Error(`Tokenizer '${name}' is already defined`);
+        }
+        pending.tokenizers[name] = {
+          description: tokenizer.description || `Provided by ${owner}`,
+          exact: !!tokenizer.exact,
+          match: tokenizer.match,
+          count: tokenizer.count,
+          plugin: owner
+        };
+      }
+    };
+  }
+
+  /**
+   * Validate a registration name
+   */
+  assertName(kind, name) {
+    if (typeof name !== 'string' || !/^[A-Za-z][\w-]*$/.test(name)) {
+      throw new Error(`Invalid ${kind} name '${name}'`);
+    }
+  }
+
+  /**
+   * Read name/version from a plugin's package.json
+   */
+  readPackageInfo(pluginPath) {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(path.join(pluginPath, 'package.json'), 'utf8'));
+      return { name: pkg.name, version: pkg.version };
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * List directory entries, empty if missing
+   */
+  readDirectory(dir) {
+    try {
+      return fs.readdirSync(dir);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Check whether a path is a directory
+   */
+  isDirectory(target) {
+    try {
+      return fs.statSync(target).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+module.exports = {
+  getPluginManager: () => {
+    if (!instance) {
+      instance = new PluginManager();
+      instance.loadAll();
+    }
+    return instance;
+  },
+  PluginManager,
+  PLUGIN_API_VERSION,
+  BUILT_IN_ASSERTIONS
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Project Prompt Library
+ * A project keeps a shared prompt library in a `.enhance/` directory,
+ * found by walking up from the working directory like `.git`:
+ *
+ *   .enhance/config.json   default settings, applied over the user's
+ *   .enhance/templates/    template modes and partials/, over the user's
+ *   .enhance/tests/        prompt test suites, run by `enhance --test`
+ *   .enhance/assertions/   custom assertion modules the test suites use by name
+ *
+ * Commit it so the whole team gets the same modes, settings and tests.
+ */
+
+const PROJECT_DIR = '.enhance';
+const TEST_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const ASSERTION_EXTENSIONS = ['.js', '.cjs'];
+
+// Project for the working directory, looked up once
+let project;
+
+/**
+ * Find the nearest directory containing .enhance/, starting at `start`
+ * @returns {string|null} The project root
+ */
+function findProjectRoot(start = process.cwd()) {
+  let dir = path.resolve(start);
+
+  while (true) {
+    try {
+      if (fs.statSync(path.join(dir, PROJECT_DIR)).isDirectory()) {
+        return dir;
+      }
+    } catch (error) {
+      // Not here, keep walking up
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Paths inside a project's .enhance/ directory
+ */
+function getProjectPaths(root) {
+  const dir = path.join(root, PROJECT_DIR);
+  return {
+    root,
+    dir,
+    config: path.join(dir, 'config.json'),
+    templates: path.join(dir, 'templates'),
+    tests: path.join(dir, 'tests'),
+    assertions: path.join(dir, 'assertions')
+  };
+}
+
+/**
+ * Create .enhance/ with empty templates/, tests/ and assertions/ directories
+ * @returns {{paths: Object, created: boolean}} created is false if it already existed
+ */
+function initProject(root = process.cwd()) {
+  const paths = getProjectPaths(path.resolve(root));
+  const created = !fs.existsSync(paths.dir);
+
+  for (const dir of [paths.templates, path.join(paths.templates, 'partials'), paths.tests, paths.assertions]) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  if (!fs.existsSync(paths.config)) {
+    fs.writeFileSync(paths.config, JSON.stringify({ settings: {} }, null, 2) + '\n');
+  }
+
+  project = undefined;
+  return { paths, created };
+}
+
+/**
+ * Test suite files in a project, sorted by name
+ */
+function listTestSuites(paths) {
+  try {
+    return fs.readdirSync(paths.tests)
+      .filter(entry => TEST_EXTENSIONS.includes(path.extname(entry).toLowerCase()))
+      .sort()
+      .map(entry => path.join(paths.tests, entry));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Custom assertion modules in a project, keyed by name
+ * Modules named after a built-in assertion key could never run, or would run
+ * on assertions that only use the key as an option, so they are rejected.
+ * @returns {{modules: Object, rejected: Array<{name: string, file: string}>}} Name to file path, and rejected files
+ */
+function listAssertionModules(paths) {
+  // Loaded here: plugins.js pulls in the providers, which read project settings
+  const { BUILT_IN_ASSERTIONS } = require('./plugins');
+  const modules = {};
+  const rejected = [];
+
+  let entries;
+  try {
+    entries = fs.readdirSync(paths.assertions);
+  } catch (error) {
+    return { modules, rejected };
+  }
+
+  for (const entry of entries.sort()) {
+    if (!ASSERTION_EXTENSIONS.includes(path.extname(entry).toLowerCase())) continue;
+
+    const name = path.basename(entry, path.extname(entry));
+    const file = path.join(paths.assertions, entry);
+    if (BUILT_IN_ASSERTIONS.includes(name)) {
+      rejected.push({ name, file });
+    } else {
+      modules[name] = file;
+    }
+  }
+  return { modules, rejected };
+}
+
+/**
+ * Resolve a --test argument: a file path, or the name of a project suite
+ * @returns {string|null}
+ */
+function resolveTestSuite(name, paths) {
+  if (fs.existsSync(name) || !paths) return name;
+
+  const match = listTestSuites(paths).find(file => path.basename(file, path.extname(file)) === name);
+  return match || name;
+}
+
+/**
+ * The current project's paths, or null outside a project
+ */
+function getProject() {
+  if (project === undefined) {
+    const root = findProjectRoot();
+    project = root ? getProjectPaths(root) : null;
+  }
+  return project;
+}
+
+module.exports = {
+  PROJECT_DIR,
+  findProjectRoot,
+  getProjectPaths,
+  getProject,
+  initProject,
+  listTestSuites,
+  listAssertionModules,
+  resolveTestSuite
+};
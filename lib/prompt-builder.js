@@ -2,6 +2,9 @@ const inquirer = require('inquirer');
 const chalk = require('chalk');
 const fs = require('fs').promises;
 const path = require('path');
+const YAML = require('yaml');
+const { getTemplateLibrary } = require('./template-library');
+const { getAllTemplates } = require('./template-utils');
 
 /**
  * Interactive Prompt Builder
@@ -101,6 +104,8 @@ class PromptBuilder {
   async buildInteractive() {
     console.log(chalk.cyan.bold('\n🏗️  Interactive Prompt Builder\n'));
     
+    const savedTemplates = await this.loadUserTemplates();
+    
     // Select template
     const { template } = await inquirer.prompt([
       {
@@ -112,6 +117,11 @@ class PromptBuilder {
             name: `${tmpl.name} - ${tmpl.description}`,
             value: key
           })),
+          ...(savedTemplates.length > 0 ? [new inquirer.Separator('── Saved templates ──')] : []),
+          ...savedTemplates.map(saved => ({
+            name: `${saved.name} - ${saved.description} ${chalk.gray(`[${saved.source}]`)}`,
+            value: saved
+          })),
           new inquirer.Separator(),
           { name: 'Custom (start from scratch)', value: 'custom' }
         ]
@@ -122,6 +132,8 @@ class PromptBuilder {
     
     if (template === 'custom') {
       builtPrompt = await this.buildCustom();
+    } else if (typeof template === 'object') {
+      builtPrompt = await this.buildFromSavedTemplate(template);
     } else {
       builtPrompt = await this.buildFromTemplate(template);
     }
@@ -205,6 +217,35 @@ class PromptBuilder {
     return this.formatPrompt(sections, templateKey);
   }
 
+  /**
+   * Build from a saved template file, asking for its input and variables
+   */
+  async buildFromSavedTemplate(mode) {
+    console.log(chalk.yellow(`\nBuilding ${mode.name}...\n`));
+    
+    const questions = [
+      {
+        type: 'input',
+        name: 'input',
+        message: 'Prompt or details to include (optional):'
+      },
+      ...Object.entries(mode.variables || {}).map(([name, settings]) => ({
+        type: settings.type === 'boolean' ? 'confirm' : 'input',
+        name: `variables.${name}`,
+        message: `${settings.description || name}${settings.type === 'list' ? ' (comma-separated)' : ''}:`,
+        default: Array.isArray(settings.default) ? settings.default.join(', ') : settings.default,
+        validate: input => !settings.required || String(input).trim().length > 0 || 'This field is required'
+      }))
+    ];
+    const answers = await inquirer.prompt(questions);
+    
+    // Leave blank answers out so the template's defaults apply
+    const variables = Object.fromEntries(
+      Object.entries(answers.variables || {}).filter(([, value]) => typeof value === 'boolean' || String(value).trim())
+    );
+    return mode.enhance(answers.input.trim(), { variables });
+  }
+
   /**
    * Build custom prompt
    */
@@ -585,14 +626,31 @@ class PromptBuilder {
 
   /**
    * Save as template
+   * Written as a template file to the project's .enhance/templates when
+   * inside a project, otherwise to the user's templates, so it becomes a mode
    */
   async saveAsTemplate(prompt) {
+    const library = getTemplateLibrary();
+    const templateDir = library.getSaveDirectory();
+    
+    // The file name becomes the mode name
+    const toKey = name => name.trim().toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+    // Built-in, plugin and alias modes can't be replaced by a template file
+    const modes = getAllTemplates();
+    
     const { name, description } = await inquirer.prompt([
       {
         type: 'input',
         name: 'name',
         message: 'Template name:',
-        validate: input => input.trim().length > 0 || 'Name is required'
+        validate: input => {
+          if (!/[a-z0-9]/i.test(input)) return 'Name needs at least one letter or number';
+          const existing = modes[toKey(input)];
+          if (existing && !existing.file) {
+            return `Mode "${toKey(input)}" already exists (${existing.name}); choose a different name`;
+          }
+          return true;
+        }
       },
       {
         type: 'input',
@@ -601,20 +659,33 @@ class PromptBuilder {
       }
     ]);
     
-    const templateDir = path.join(os.homedir(), '.cache', 'claude-enhancer', 'templates');
-    await fs.mkdir(templateDir, { recursive: true });
+    const key = toKey(name);
+    const filename = path.join(templateDir, `${key}.md`);
     
-    const template = {
-      name,
-      description,
-      prompt,
-      created: new Date().toISOString()
-    };
+    const exists = await fs.access(filename).then(() => true, () => false);
+    if (exists) {
+      const { overwrite } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'overwrite',
+          message: `${filename} already exists. Overwrite it?`,
+          default: false
+        }
+      ]);
+      if (!overwrite) return null;
+    }
+    
+    const frontMatter = YAML.stringify({ name: name.trim(), description: description.trim() || undefined });
+    // Escape {{ so the saved prompt is kept literally; {{input}} adds details when the mode is used
+    const body = prompt.replace(/\{\{/g, '\\{{');
+    const content = `---\n${frontMatter}---\n${body}\n{{#if input}}\n\n{{input}}\n{{/if}}\n`;
     
-    const filename = path.join(templateDir, `${name.replace(/\s+/g, '-').toLowerCase()}.json`);
-    await fs.writeFile(filename, JSON.stringify(template, null, 2));
+    await fs.mkdir(templateDir, { recursive: true });
+    await fs.writeFile(filename, content);
     
     console.log(chalk.green(`✅ Template saved: ${filename}`));
+    console.log(chalk.gray(`   Use it with: enhance -m ${key} "..."`));
+    return filename;
   }
 
   /**
@@ -636,25 +707,12 @@ class PromptBuilder {
 
   /**
    * Load user templates
+   * Template file modes from the bundled, user and project template directories
+   * @returns {Promise<Array<Object>>} Modes, each with its `source`
    */
   async loadUserTemplates() {
-    const templateDir = path.join(os.homedir(), '.cache', 'claude-enhancer', 'templates');
-    
-    try {
-      const files = await fs.readdir(templateDir);
-      const templates = [];
-      
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const content = await fs.readFile(path.join(templateDir, file), 'utf8');
-          templates.push(JSON.parse(content));
-        }
-      }
-      
-      return templates;
-    } catch (error) {
-      return [];
-    }
+    // Go through the mode registry so templates shadowing built-in modes are skipped
+    return Object.values(getAllTemplates()).filter(mode => mode.file);
   }
 }
 
@@ -0,0 +1,277 @@
+const fetch = require('node-fetch');
+const BaseProvider = require('./base-provider');
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Provider
+ * Supports Claude models via the Messages API
+ */
+class AnthropicProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('anthropic', config);
+    this.baseUrl = (config.baseUrl || process.env.ANTHROPIC_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY || null;
+    this.defaultModel = config.defaultModel || process.env.ANTHROPIC_DEFAULT_MODEL || 'claude-3-5-haiku-latest';
+    this.timeout = config.timeout || 120000; // 2 minutes default
+    this.lastStopReason = null;
+
+    this.rateLimits = {
+      requestsPerHour: 1000,
+      requestsPerMinute: 50,
+      tokensPerMinute: 40000
+    };
+  }
+
+  /**
+   * Build request headers
+   */
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'anthropic-version': API_VERSION
+    };
+    if (this.apiKey) {
+      headers['x-api-key'] = this.apiKey;
+    }
+    return headers;
+  }
+
+  /**
+   * Make sure credentials exist when talking to the hosted API
+   */
+  ensureCredentials() {
+    if (!this.apiKey && this.baseUrl === DEFAULT_BASE_URL) {
+      throw new Error('Anthropic API key not found. Set ANTHROPIC_API_KEY environment variable.');
+    }
+  }
+
+  /**
+   * Fetch with timeout
+   */
+  async request(endpoint, init = {}, timeout = this.timeout) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}${endpoint}`, {
+        ...init,
+        headers: this.getHeaders(),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        let message = body;
+        try {
+          message = JSON.parse(body).error?.message || body;
+        } catch (e) {
+          // Not JSON, keep raw body
+        }
+        const error = new Error(`Anthropic API error ${response.status}: ${message}`);
+        error.status = response.status;
+        error.retryAfter = this.parseRetryAfter(response.headers);
+        error.headers = response.headers;
+        throw error;
+      }
+
+      return response;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`Request to ${this.baseUrl} timed out`);
+        timeoutError.code = 'ETIMEDOUT';
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Initialize and check API access
+   */
+  async initialize() {
+    this.ensureCredentials();
+
+    try {
+      await this.request('/v1/models', { method: 'GET' }, 15000);
+      return true;
+    } catch (error) {
+      if (error.code === 'ECONNREFUSED') {
+        throw new Error(`Anthropic API is not reachable at ${this.baseUrl}`);
+      }
+      throw new Error(`Failed to connect to Anthropic: ${error.status ? this.formatError(error) : error.message}`);
+    }
+  }
+
+  /**
+   * List available models
+   */
+  async listModels() {
+    this.ensureCredentials();
+
+    try {
+      const response = await this.request('/v1/models', { method: 'GET' }, 15000);
+      const data = await response.json();
+
+      return (data.data || []).map(model => ({
+        id: model.id,
+        name: model.display_name || model.id,
+        created: model.created_at || null
+      }));
+    } catch (error) {
+      throw this.wrapError(`Failed to list models: ${this.formatError(error)}`, error);
+    }
+  }
+
+  /**
+   * Build Messages API request body
+   * The system prompt goes in its own field, prior turns in `messages`
+   */
+  buildRequestBody(prompt, options = {}) {
+    const messages = [
+      ...(options.messages || []),
+      { role: 'user', content: prompt }
+    ];
+
+    const body = {
+      model: options.model || this.defaultModel,
+      max_tokens: options.max_tokens || options.maxTokens || 2048,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      stream: !!options.stream
+    };
+
+    if (options.system) body.system = options.system;
+    if (options.stop) body.stop_sequences = Array.isArray(options.stop) ? options.stop : [options.stop];
+    if (options.top_p !== undefined) body.top_p = options.top_p;
+    if (options.top_k !== undefined) body.top_k = options.top_k;
+
+    return body;
+  }
+
+  /**
+   * Record why generation stopped and warn on truncation
+   */
+  handleStopReason(stopReason) {
+    this.lastStopReason = stopReason || null;
+    if (stopReason === 'max_tokens') {
+      console.warn('Anthropic response was truncated at max_tokens. Increase max_tokens for a complete answer.');
+    }
+  }
+
+  /**
+   * Generate completion using the Messages API
+   */
+  async complete(prompt, options = {}) {
+    this.ensureCredentials();
+
+    const body = this.buildRequestBody(prompt, { ...options, stream: false });
+    await this.checkRateLimits(body.model, prompt);
+
+    try {
+      const response = await this.request('/v1/messages', {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+      this.updateRateLimits(body.model, response.headers);
+
+      const result = await response.json();
+      const text = (result.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      this.handleStopReason(result.stop_reason);
+
+      // Track usage - prefer server-reported counts
+      const usage = this.getUsage(prompt, text, body.model, {
+        promptTokens: result.usage?.input_tokens,
+        completionTokens: result.usage?.output_tokens
+      });
+      this.trackUsage(usage.totalTokens, body.model);
+
+      return { text, model: result.model || body.model, usage };
+    } catch (error) {
+      if (error.status === 429) {
+        this.updateRateLimits(body.model, error.headers, error.retryAfter);
+      }
+      throw this.wrapError(`Anthropic completion failed: ${error.status || error.code ? this.formatError(error) : error.message}`, error);
+    }
+  }
+
+  /**
+   * Build enhancement request
+   * The mode's system prompt is sent as the `system` field
+   */
+  async buildEnhancementRequest(prompt, mode, options = {}) {
+    return {
+      prompt,
+      options: {
+        ...options,
+        model: options.model || this.getModelForMode(mode) || this.defaultModel,
+        system: options.system || this.getSystemPromptForMode(mode),
+        temperature: mode === 'creative' ? 0.9 : 0.7
+      }
+    };
+  }
+
+  /**
+   * Stream handler for real-time output (server-sent events)
+   */
+  async *streamCompletion(prompt, options = {}) {
+    this.ensureCredentials();
+
+    const body = this.buildRequestBody(prompt, { ...options, stream: true });
+    await this.checkRateLimits(body.model, prompt);
+
+    let response;
+    try {
+      response = await this.request('/v1/messages', {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      if (error.status === 429) {
+        this.updateRateLimits(body.model, error.headers, error.retryAfter);
+      }
+      throw error;
+    }
+    this.updateRateLimits(body.model, response.headers);
+
+    let text = '';
+    let model = body.model;
+    let inputTokens;
+    let outputTokens;
+
+    for await (const event of this.parseSSE(response.body)) {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (e) {
+        continue; // Ignore JSON parse errors
+      }
+
+      if (data.type === 'message_start') {
+        model = data.message?.model || model;
+        inputTokens = data.message?.usage?.input_tokens;
+      } else if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+        text += data.delta.text;
+        yield data.delta.text;
+      } else if (data.type === 'message_delta') {
+        outputTokens = data.usage?.output_tokens ?? outputTokens;
+        this.handleStopReason(data.delta?.stop_reason);
+      } else if (data.type === 'error') {
+        throw new Error(`Anthropic stream error: ${data.error?.message || 'unknown error'}`);
+      }
+    }
+
+    const usage = this.getUsage(prompt, text, body.model, { promptTokens: inputTokens, completionTokens: outputTokens });
+    this.trackUsage(usage.totalTokens, body.model);
+    return { text, model, usage };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -1,3 +1,31 @@
+const { StringDecoder } = require('string_decoder');
+const { getRateLimiter } = require('./rate-limiter');
+const { countTokens } = require('../tokenizers');
+const { getDefaultContextLength } = require('../context-window');
+const { getResponseCache } = require('../response-cache');
+
+const REFINE_INSTRUCTIONS = 'You are revising a prompt over several turns. ' +
+  'Apply the latest instruction to the most recent version and reply with only the complete revised prompt.';
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} totalTokens
+ * @property {boolean} estimated - Counted locally because the server didn't report usage
+ */
+
+/**
+ * @typedef {Object} CompletionResult
+ * @property {string} text - Generated text
+ * @property {string} provider - Provider that produced it
+ * @property {string|null} model - Model that produced it
+ * @property {TokenUsage} usage - Tokens spent (zero for cache hits)
+ * @property {number} latency - Milliseconds taken
+ * @property {boolean} cached - Served from the response cache
+ * @property {Array<Object>} [fallback] - Providers tried, added by executeWithFallback
+ */
+
 /**
  * Base Provider Class
  * Abstract base class for all LLM providers
@@ -43,26 +71,312 @@ class BaseProvider {
 
   /**
    * Generate a completion
-   * @param {string} prompt - The prompt to complete
-   * @param {Object} options - Generation options
-   * @returns {Promise<string>} - The generated text
+   * @param {string} prompt - The prompt to complete (the current user message)
+   * @param {Object} options - Generation options, including:
+   *   system   - system prompt
+   *   messages - earlier chat turns, oldest first: [{ role: 'user'|'assistant', content }]
+   * @returns {Promise<{text: string, model: string, usage: TokenUsage}|string>}
+   *   The generated text with the model and token usage; plain text is accepted from plugin providers
    */
   async complete(prompt, options = {}) {
     throw new Error('Provider must implement complete()');
   }
 
+  /**
+   * Generate a completion with its details
+   * Wraps complete(), filling in whatever it didn't report
+   * @returns {Promise<CompletionResult>}
+   */
+  async generate(prompt, options = {}) {
+    const startTime = Date.now();
+    const result = await this.complete(prompt, options);
+    return this.toResult(result, prompt, options, startTime);
+  }
+
+  /**
+   * Normalize what complete() or streamCompletion() returned into a CompletionResult
+   */
+  toResult(result, prompt, options, startTime, text = '') {
+    const completion = typeof result === 'string' || !result ? { text: result ?? text } : result;
+    const model = completion.model || options.model || this.defaultModel || null;
+    
+    return {
+      text: completion.text,
+      provider: this.name,
+      model,
+      usage: completion.usage || this.getUsage(prompt, completion.text, model),
+      latency: Date.now() - startTime,
+      cached: false
+    };
+  }
+
   /**
    * Generate enhanced prompt
    * @param {string} prompt - Original prompt
    * @param {string} mode - Enhancement mode
    * @param {Object} options - Additional options
-   * @returns {Promise<string>} - Enhanced prompt
+   * @returns {Promise<CompletionResult>} - Enhanced prompt and call details
    */
   async enhance(prompt, mode, options = {}) {
-    // Default implementation using complete()
+    const startTime = Date.now();
+    const request = await this.buildEnhancementRequest(prompt, mode, options);
+    const cacheKey = this.getCacheKey(request, mode, options);
+    
+    const cached = this.readCache(cacheKey);
+    if (cached !== null) {
+      return this.toCachedResult(cached, request, startTime);
+    }
+    
+    const result = await this.generate(request.prompt, request.options);
+    this.writeCache(cacheKey, result.text, request, mode);
+    return { ...result, latency: Date.now() - startTime };
+  }
+
+  /**
+   * Stream an enhanced prompt chunk by chunk
+   * @param {string} prompt - Original prompt
+   * @param {string} mode - Enhancement mode
+   * @param {Object} options - Additional options
+   * @returns {AsyncGenerator<string, CompletionResult>} - Text chunks, then the call details
+   */
+  async *streamEnhance(prompt, mode, options = {}) {
+    const startTime = Date.now();
+    const request = await this.buildEnhancementRequest(prompt, mode, options);
+    const cacheKey = this.getCacheKey(request, mode, options);
+    
+    const cached = this.readCache(cacheKey);
+    if (cached !== null) {
+      yield cached;
+      return this.toCachedResult(cached, request, startTime);
+    }
+    
+    // Iterate by hand to keep the stream's return value
+    const stream = this.streamCompletion(request.prompt, request.options);
+    let text = '';
+    let step;
+    while (!(step = await stream.next()).done) {
+      text += step.value;
+      yield step.value;
+    }
+    
+    const result = this.toResult(step.value, request.prompt, request.options, startTime, text);
+    this.writeCache(cacheKey, result.text, request, mode);
+    return result;
+  }
+
+  /**
+   * Result for a response served from the cache
+   */
+  toCachedResult(text, request, startTime) {
+    return {
+      text,
+      provider: this.name,
+      model: request.options.model || this.defaultModel || null,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false },
+      latency: Date.now() - startTime,
+      cached: true
+    };
+  }
+
+  /**
+   * Cache key for an enhancement request, or null when caching is off (--no-cache)
+   */
+  getCacheKey(request, mode, options = {}) {
+    // Recording and replaying must reach complete()
+    if (this.recorder || options.cache === false || options.noCache) {
+      return null;
+    }
+    
+    return getResponseCache().getKey({
+      provider: this.name,
+      model: request.options.model || this.defaultModel,
+      mode,
+      prompt: request.prompt,
+      options: request.options
+    });
+  }
+
+  /**
+   * Read a cached response (cache failures never break a request)
+   * @returns {string|null}
+   */
+  readCache(key) {
+    if (!key) return null;
+    try {
+      return getResponseCache().get(key, this.name);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store a response in the cache
+   */
+  writeCache(key, response, request, mode) {
+    if (!key || !response) return;
+    try {
+      getResponseCache().set(key, response, {
+        provider: this.name,
+        model: request.options.model || this.defaultModel,
+        mode
+      });
+    } catch (error) {
+      // Caching is an optimization
+    }
+  }
+
+  /**
+   * Revise an enhanced prompt following an instruction
+   * @param {string} instruction - What to change, e.g. "make it shorter"
+   * @param {Array<{role: string, content: string}>} messages - Earlier turns, ending with the current version
+   * @param {string} mode - Enhancement mode of the original prompt
+   * @param {Object} options - Additional options
+   * @returns {Promise<CompletionResult>} - Revised prompt and call details
+   */
+  async refine(instruction, messages, mode, options = {}) {
+    return this.generate(instruction, {
+      ...options,
+      model: options.model || this.getModelForMode(mode) || undefined,
+      system: `${this.getSystemPromptForMode(mode)} ${REFINE_INSTRUCTIONS}`,
+      messages
+    });
+  }
+
+  /**
+   * Fold earlier chat turns (and optionally a system prompt) into one prompt
+   * For providers without a chat API
+   * @param {string} prompt - Current user message
+   * @param {Object} options - { system, messages }
+   * @returns {string}
+   */
+  buildTranscript(prompt, { system, messages } = {}) {
+    const parts = system ? [system] : [];
+    
+    if (!messages || messages.length === 0) {
+      return [...parts, prompt].join('\n\n');
+    }
+    
+    for (const message of messages) {
+      parts.push(`${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`);
+    }
+    parts.push(`User: ${prompt}`, 'Assistant:');
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Build the completion request used by enhance() and streamEnhance()
+   * Providers override this to use their own prompt format
+   * @returns {Promise<{prompt: string, options: Object}>}
+   */
+  async buildEnhancementRequest(prompt, mode, options = {}) {
+    // Default implementation: system prompt glued onto the user text
     const systemPrompt = this.getSystemPromptForMode(mode);
-    const fullPrompt = `${systemPrompt}\n\nUser prompt: ${prompt}\n\nEnhanced prompt:`;
-    return await this.complete(fullPrompt, options);
+    return {
+      prompt: `${systemPrompt}\n\nUser prompt: ${prompt}\n\nEnhanced prompt:`,
+      options: {
+        ...options,
+        model: options.model || this.getModelForMode(mode) || undefined
+      }
+    };
+  }
+
+  /**
+   * Get the configured model for an enhancement mode
+   * Set per instance through the `models` map in providers.yaml
+   * @returns {string|null} Model id, or null when not configured
+   */
+  getModelForMode(mode) {
+    const modeModels = this.config.modeModels || {};
+    return modeModels[mode] || null;
+  }
+
+  /**
+   * Stream a completion
+   * Default implementation yields the full completion as a single chunk
+   * for providers without a streaming API
+   * @returns {AsyncGenerator<string>} - Text chunks, returning the same details as complete()
+   */
+  async *streamCompletion(prompt, options = {}) {
+    const result = await this.complete(prompt, options);
+    yield typeof result === 'string' ? result : result.text;
+    return result;
+  }
+
+  /**
+   * Parse a server-sent events body
+   * @param {AsyncIterable} body - Response body
+   * @returns {AsyncGenerator<{event: string|null, data: string}>}
+   */
+  async *parseSSE(body) {
+    let event = null;
+    let data = [];
+
+    for await (const line of this.readLines(body)) {
+      if (line === '') {
+        // Blank line dispatches the event
+        if (data.length > 0) {
+          yield { event, data: data.join('\n') };
+        }
+        event = null;
+        data = [];
+        continue;
+      }
+
+      if (line.startsWith(':')) continue; // Comment / keep-alive
+
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+      if (field === 'event') {
+        event = value;
+      } else if (field === 'data') {
+        data.push(value);
+      }
+    }
+
+    if (data.length > 0) {
+      yield { event, data: data.join('\n') };
+    }
+  }
+
+  /**
+   * Parse a newline-delimited JSON body
+   * @param {AsyncIterable} body - Response body
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *parseNDJSON(body) {
+    for await (const line of this.readLines(body)) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (e) {
+        // Ignore JSON parse errors
+      }
+    }
+  }
+
+  /**
+   * Split a streamed body into lines, decoding UTF-8 across chunk boundaries
+   */
+  async *readLines(body) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    for await (const chunk of body) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(Buffer.from(chunk));
+
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        yield buffer.slice(0, index).replace(/\r$/, '');
+        buffer = buffer.slice(index + 1);
+      }
+    }
+
+    buffer += decoder.end();
+    if (buffer) {
+      yield buffer.replace(/\r$/, '');
+    }
   }
 
   /**
@@ -80,51 +394,141 @@ class BaseProvider {
   }
 
   /**
-   * Check rate limits
+   * Wait for rate limits
+   * Queues the request until it fits the per-minute, per-hour and token budgets
+   * @param {string} model - Model the request targets
+   * @param {string} prompt - Prompt text, used to estimate token cost
+   * @returns {Promise<number>} Milliseconds waited
    */
-  checkRateLimits() {
+  async checkRateLimits(model, prompt = '') {
     const now = new Date();
-    const timeSinceReset = now - this.usage.lastReset;
     
-    // Reset hourly counters
-    if (timeSinceReset > 3600000) {
+    // Reset hourly usage counters
+    if (now - this.usage.lastReset > 3600000) {
       this.usage.requests = 0;
       this.usage.tokens = 0;
       this.usage.lastReset = now;
     }
     
-    if (this.usage.requests >= this.rateLimits.requestsPerHour) {
-      throw new Error(`Rate limit exceeded: ${this.rateLimits.requestsPerHour} requests per hour`);
-    }
+    return getRateLimiter().acquire(this.getRateLimitKey(model), this.rateLimits, this.estimateTokens(prompt, model));
   }
 
   /**
    * Track usage
    */
-  trackUsage(tokens) {
+  trackUsage(tokens, model) {
     this.usage.requests++;
     this.usage.tokens += tokens;
+    getRateLimiter().consume(this.getRateLimitKey(model), this.rateLimits, tokens);
+  }
+
+  /**
+   * Apply rate-limit information from an HTTP response
+   * @param {string} model - Model the request targeted
+   * @param {Headers} headers - Response headers
+   * @param {number} retryAfter - Server-requested delay in ms, if any
+   */
+  updateRateLimits(model, headers, retryAfter) {
+    const key = this.getRateLimitKey(model);
+    getRateLimiter().applyHeaders(key, headers);
+    getRateLimiter().block(key, retryAfter);
+  }
+
+  /**
+   * Rate limits are tracked per provider and model
+   */
+  getRateLimitKey(model) {
+    return `${this.name}:${model || 'default'}`;
+  }
+
+  /**
+   * Token usage for a completion
+   * Counts reported by the server win; the rest are estimated with the model's tokenizer
+   * @param {Object} reported - { promptTokens, completionTokens } from the response, if any
+   * @returns {TokenUsage}
+   */
+  getUsage(prompt, text, model, reported = {}) {
+    const promptTokens = reported.promptTokens ?? this.estimateTokens(prompt, model);
+    const completionTokens = reported.completionTokens ?? this.estimateTokens(text, model);
+    
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated: reported.promptTokens == null || reported.completionTokens == null
+    };
   }
 
   /**
    * Get usage statistics
    */
   getUsageStats() {
+    let cache = null;
+    try {
+      cache = getResponseCache().getProviderStats(this.name);
+    } catch (error) {
+      // Cache unavailable
+    }
+    
     return {
       provider: this.name,
       requests: this.usage.requests,
       tokens: this.usage.tokens,
       rateLimits: this.rateLimits,
-      lastReset: this.usage.lastReset
+      lastReset: this.usage.lastReset,
+      cache
     };
   }
 
   /**
-   * Estimate token count (rough approximation)
+   * Get the context window of a model in tokens
+   * Uses the configured contextLength, then known model families
+   */
+  async getContextLength(model) {
+    return this.config.contextLength || getDefaultContextLength(model || this.defaultModel);
+  }
+
+  /**
+   * Count tokens with the model family's tokenizer
+   * @param {string} text - Text to count
+   * @param {string} model - Model id (defaults to the provider's default model)
+   */
+  estimateTokens(text, model) {
+    return countTokens(text, model || this.defaultModel);
+  }
+
+  /**
+   * Wrap an error with a friendlier message
+   * Keeps code, status and retryAfter so callers can tell transient failures apart
    */
-  estimateTokens(text) {
-    // Rough estimate: 1 token per 4 characters
-    return Math.ceil(text.length / 4);
+  wrapError(message, cause) {
+    const error = new Error(message);
+    if (cause) {
+      error.code = cause.code;
+      error.status = cause.status;
+      error.retryAfter = cause.retryAfter;
+      error.cause = cause;
+    }
+    return error;
+  }
+
+  /**
+   * Parse a Retry-After header into milliseconds
+   * @param {Headers} headers - Response headers
+   * @returns {number|undefined}
+   */
+  parseRetryAfter(headers) {
+    const value = headers?.get?.('retry-after');
+    if (!value) return undefined;
+    
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    
+    // HTTP date form
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
   }
 
   /**
@@ -1,13 +1,9 @@
 const fetch = require('node-fetch');
 const BaseProvider = require('./base-provider');
-const { LRUCache } = require('lru-cache');
-const fs = require('fs').promises;
-const path = require('path');
-const os = require('os');
 
 /**
  * HuggingFace Provider
- * Supports HuggingFace Inference API with caching
+ * Supports HuggingFace Inference API
  */
 class HuggingFaceProvider extends BaseProvider {
   constructor(config = {}) {
@@ -18,43 +14,29 @@ class HuggingFaceProvider extends BaseProvider {
       throw new Error('HuggingFace API key not found. Set HF_TOKEN environment variable.');
     }
     
-    this.baseUrl = 'https://api-inference.huggingface.co/models';
-    this.cacheDir = config.cacheDir || path.join(os.homedir(), '.cache', 'claude-enhancer');
+    this.baseUrl = config.baseUrl || 'https://api-inference.huggingface.co/models';
     
     // Model configurations
     this.models = {
       fast: {
         id: 'google/flan-t5-xl',
         maxTokens: 512,
+        contextLength: 512,
         rateLimit: 5000
       },
       balanced: {
         id: 'mistralai/Mixtral-8x7B-Instruct-v0.1',
         maxTokens: 1024,
+        contextLength: 32768,
         rateLimit: 2000
       },
       deep: {
         id: 'meta-llama/Llama-2-70b-chat-hf',
         maxTokens: 1500,
+        contextLength: 4096,
         rateLimit: 500
       }
     };
-    
-    // Initialize cache
-    this.cache = new LRUCache({
-      max: 1000,
-      ttl: 1000 * 60 * 60 * 24 // 24 hours
-    });
-    
-    this.cacheStats = {
-      hits: 0,
-      misses: 0,
-      diskReads: 0,
-      diskWrites: 0
-    };
-    
-    // Load persistent cache
-    this.loadPersistentCache().catch(() => {});
   }
 
   /**
@@ -66,9 +48,6 @@ class HuggingFaceProvider extends BaseProvider {
       throw new Error('Invalid HuggingFace API key format');
     }
     
-    // Ensure cache directory exists
-    await fs.mkdir(this.cacheDir, { recursive: true });
-    
     return true;
   }
 
@@ -81,10 +60,23 @@ class HuggingFaceProvider extends BaseProvider {
       name: `${tier} (${config.id})`,
       tier: tier,
       maxTokens: config.maxTokens,
+      contextLength: config.contextLength,
       rateLimit: config.rateLimit
     }));
   }
 
+  /**
+   * Get the context window for a model id or tier
+   */
+  async getContextLength(model) {
+    if (this.config.contextLength) return this.config.contextLength;
+    
+    const entry = Object.values(this.models).find(config => config.id === model)
+      || this.models[model]
+      || this.models.balanced;
+    return entry.contextLength;
+  }
+
   /**
    * Complete prompt using HuggingFace API
    */
@@ -96,20 +88,12 @@ class HuggingFaceProvider extends BaseProvider {
       throw new Error(`Unknown model tier: ${modelTier}. Use 'fast', 'balanced', or 'deep'`);
     }
     
-    // Check cache first
-    const cacheKey = this.getCacheKey(prompt, model.id, options);
-    const cached = this.cache.get(cacheKey);
-    
-    if (cached && !options.noCache) {
-      this.cacheStats.hits++;
-      return cached;
-    }
-    
-    this.cacheStats.misses++;
+    // Wait for rate limits
+    await this.checkRateLimits(model.id, prompt);
     
     // Make API request
     const requestBody = {
-      inputs: prompt,
+      inputs: this.buildTranscript(prompt, { system: options.system, messages: options.messages }),
       parameters: {
         max_new_tokens: options.maxTokens || model.maxTokens,
         temperature: options.temperature || 0.7,
@@ -129,137 +113,31 @@ class HuggingFaceProvider extends BaseProvider {
         body: JSON.stringify(requestBody)
       });
       
+      this.updateRateLimits(model.id, response.headers, response.status === 429 ? this.parseRetryAfter(response.headers) : undefined);
+      
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || `API error: ${response.status}`);
+        const body = await response.json().catch(() => ({}));
+        const error = new Error(body.error || `API error: ${response.status}`);
+        error.status = response.status;
+        error.retryAfter = this.parseRetryAfter(response.headers);
+        throw error;
       }
       
       const result = await response.json();
       const generatedText = result[0]?.generated_text || '';
       
-      // Cache the result
-      this.cache.set(cacheKey, generatedText);
-      this.savePersistentCache().catch(() => {});
-      
-      // Track usage
-      const tokens = this.estimateTokens(prompt) + this.estimateTokens(generatedText);
-      this.trackUsage(tokens);
+      // Track usage (the Inference API doesn't report token counts)
+      const usage = this.getUsage(prompt, generatedText, model.id);
+      this.trackUsage(usage.totalTokens, model.id);
       
-      return generatedText;
+      return { text: generatedText, model: model.id, usage };
     } catch (error) {
       if (error.message.includes('Rate limit')) {
-        throw new Error('Rate limit exceeded. Please wait before retrying.');
-      }
-      throw new Error(`HuggingFace API error: ${this.formatError(error)}`);
-    }
-  }
-
-  /**
-   * Generate cache key
-   */
-  getCacheKey(prompt, model, options) {
-    const params = {
-      prompt: prompt.substring(0, 100),
-      model,
-      temperature: options.temperature || 0.7,
-      maxTokens: options.maxTokens
-    };
-    
-    return JSON.stringify(params);
-  }
-
-  /**
-   * Load persistent cache from disk
-   */
-  async loadPersistentCache() {
-    try {
-      const cacheFile = path.join(this.cacheDir, 'cache-data.json');
-      const data = await fs.readFile(cacheFile, 'utf8');
-      const cacheData = JSON.parse(data);
-      
-      // Load entries that haven't expired
-      const now = Date.now();
-      let loaded = 0;
-      
-      for (const [key, entry] of Object.entries(cacheData)) {
-        if (entry.expires > now) {
-          this.cache.set(key, entry.value);
-          loaded++;
-        }
+        error.status = error.status || 429;
+        throw this.wrapError('Rate limit exceeded. Please wait before retrying.', error);
       }
-      
-      this.cacheStats.diskReads++;
-      console.log(`Loaded ${loaded} cached entries from disk`);
-    } catch (error) {
-      // Cache file doesn't exist or is corrupted
-    }
-  }
-
-  /**
-   * Save cache to disk
-   */
-  async savePersistentCache() {
-    try {
-      const cacheFile = path.join(this.cacheDir, 'cache-data.json');
-      const cacheData = {};
-      
-      // Export cache entries with expiration times
-      for (const [key, value] of this.cache.entries()) {
-        cacheData[key] = {
-          value,
-          expires: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
-        };
-      }
-      
-      await fs.writeFile(cacheFile, JSON.stringify(cacheData, null, 2));
-      this.cacheStats.diskWrites++;
-    } catch (error) {
-      console.warn('Failed to save cache:', error.message);
-    }
-  }
-
-  /**
-   * Get enhanced usage statistics
-   */
-  getUsageStats() {
-    const stats = super.getUsageStats();
-    
-    return {
-      ...stats,
-      cache: {
-        size: this.cache.size,
-        hits: this.cacheStats.hits,
-        misses: this.cacheStats.misses,
-        hitRate: this.cacheStats.hits > 0 
-          ? `${((this.cacheStats.hits / (this.cacheStats.hits + this.cacheStats.misses)) * 100).toFixed(1)}%`
-          : '0%',
-        diskReads: this.cacheStats.diskReads,
-        diskWrites: this.cacheStats.diskWrites
-      },
-      cacheLocation: this.cacheDir
-    };
-  }
-
-  /**
-   * Clear cache
-   */
-  async clearCache() {
-    this.cache.clear();
-    this.cacheStats = {
-      hits: 0,
-      misses: 0,
-      diskReads: 0,
-      diskWrites: 0
-    };
-    
-    try {
-      const cacheFile = path.join(this.cacheDir, 'cache-data.json');
-      await fs.unlink(cacheFile);
-    } catch (error) {
-      // File might not exist
+      throw this.wrapError(`HuggingFace API error: ${this.formatError(error)}`, error);
     }
-    
-    return 'Cache cleared successfully';
   }
 
   /**
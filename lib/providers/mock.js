@@ -0,0 +1,278 @@
+const fs = require('fs');
+const yaml = require('yaml');
+const BaseProvider = require('./base-provider');
+
+/**
+ * Mock Provider
+ * Scripted responses for offline development and tests, no network access.
+ * Enable with CLAUDE_ENHANCER_MOCK=<script.yaml> (or =1 for the defaults),
+ * or declare an instance with `type: mock` and `script:` in providers.yaml.
+ *
+ * Script:
+ *   latency: 200                 # ms per call, or { min: 100, max: 400 }
+ *   stream:
+ *     chunkSize: 3               # words per streamed chunk
+ *     delay: 40                  # ms between chunks
+ *   failures:
+ *     first: 2                   # fail the first N calls
+ *     rate: 0.1                  # then fail this fraction of calls
+ *     error: server              # server | rate_limit | timeout | auth
+ *     retryAfter: 2              # seconds, for rate_limit
+ *   responses:                   # per mode; a list is returned in order
+ *     default: "{{enhanced}}"
+ *     coding: "Write {{prompt}} with tests."
+ *   rules:                       # checked before responses, first match wins
+ *     - match: "sort|search"
+ *       mode: coding             # optional
+ *       response: "..."
+ *     - match: "flaky"
+ *       error: rate_limit
+ *
+ * Responses fill in {{prompt}}, {{mode}}, {{model}}, {{provider}} and
+ * {{enhanced}} (the mode's template enhancement).
+ */
+
+const ERROR_TYPES = {
+  server: { status: 503, message: 'Mock server error 503: service unavailable' },
+  rate_limit: { status: 429, message: 'Mock rate limit exceeded (429)' },
+  timeout: { code: 'ETIMEDOUT', message: 'Mock request timed out' },
+  auth: { status: 401, message: 'Mock authentication failed (401)' }
+};
+
+const DEFAULT_MODELS = ['mock-fast', 'mock-large'];
+
+/**
+ * Load and validate a mock script
+ * @param {string} file - YAML file path
+ * @returns {Object} Parsed script
+ */
+function loadMockScript(file) {
+  let script;
+  try {
+    script = yaml.parse(fs.readFileSync(file, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Cannot load mock script ${file}: ${error.message}`);
+  }
+
+  const fail = (message) => {
+    throw new Error(`Mock script ${file}: ${message}`);
+  };
+
+  if (typeof script !== 'object' || Array.isArray(script)) {
+    fail('must be a mapping');
+  }
+
+  const { latency, failures = {}, responses = {}, rules = [], models } = script;
+
+  if (latency !== undefined && typeof latency !== 'number'
+    && !(latency && typeof latency.min === 'number' && typeof latency.max === 'number')) {
+    fail('latency must be milliseconds or { min, max }');
+  }
+
+  if (failures.error !== undefined && !ERROR_TYPES[failures.error]) {
+    fail(`failures.error must be one of ${Object.keys(ERROR_TYPES).join(', ')}`);
+  }
+
+  if (typeof responses !== 'object' || Array.isArray(responses)) {
+    fail('responses must map mode names to responses');
+  }
+
+  if (!Array.isArray(rules)) {
+    fail('rules must be a list');
+  }
+
+  rules.forEach((rule, index) => {
+    if (!rule || typeof rule.match !== 'string') {
+      fail(`rules[${index}].match must be a regular expression string`);
+    }
+    try {
+      rule.pattern = new RegExp(rule.match, rule.flags ?? 'i');
+    } catch (error) {
+      fail(`rules[${index}].match: ${error.message}`);
+    }
+    if (rule.error !== undefined && !ERROR_TYPES[rule.error]) {
+      fail(`rules[${index}].error must be one of ${Object.keys(ERROR_TYPES).join(', ')}`);
+    }
+    if (rule.response === undefined && rule.error === undefined) {
+      fail(`rules[${index}] needs a response or an error`);
+    }
+  });
+
+  if (models !== undefined && (!Array.isArray(models) || models.length === 0)) {
+    fail('models must be a non-empty list of model ids');
+  }
+
+  return script;
+}
+
+class MockProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('mock', config);
+    this.script = config.script ? loadMockScript(config.script) : {};
+    this.modelIds = this.script.models || DEFAULT_MODELS;
+    this.defaultModel = config.defaultModel || this.modelIds[0];
+    this.calls = 0;
+    this.sequence = {}; // Position in list responses, per mode or rule
+
+    if (!config.contextLength && this.script.contextLength) {
+      this.config = { ...config, contextLength: this.script.contextLength };
+    }
+
+    // No real limits, but requests still go through the limiter
+    this.rateLimits = {
+      requestsPerHour: 100000,
+      requestsPerMinute: 10000,
+      tokensPerMinute: 1000000
+    };
+  }
+
+  /**
+   * Nothing to connect to
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * List scripted models
+   */
+  async listModels() {
+    return this.modelIds.map(id => ({ id, name: id }));
+  }
+
+  /**
+   * Keep the mode and original input so responses can depend on them
+   */
+  async buildEnhancementRequest(prompt, mode, options = {}) {
+    const request = await super.buildEnhancementRequest(prompt, mode, options);
+    return {
+      prompt: request.prompt,
+      options: { ...request.options, mode, input: prompt }
+    };
+  }
+
+  /**
+   * Generate a scripted completion
+   */
+  async complete(prompt, options = {}) {
+    const model = options.model || this.defaultModel;
+    await this.checkRateLimits(model, prompt);
+
+    const text = await this.respond(prompt, options, model);
+    const usage = this.getUsage(prompt, text, model);
+    this.trackUsage(usage.totalTokens, model);
+    return { text, model, usage };
+  }
+
+  /**
+   * Stream a scripted completion in word chunks
+   */
+  async *streamCompletion(prompt, options = {}) {
+    const model = options.model || this.defaultModel;
+    await this.checkRateLimits(model, prompt);
+
+    const text = await this.respond(prompt, options, model);
+    const { chunkSize = 3, delay = 40 } = this.script.stream || {};
+    const words = text.match(/\s*\S+/g) || [text];
+
+    for (let i = 0; i < words.length; i += chunkSize) {
+      if (i > 0) await sleep(delay);
+      yield words.slice(i, i + chunkSize).join('');
+    }
+
+    const usage = this.getUsage(prompt, text, model);
+    this.trackUsage(usage.totalTokens, model);
+    return { text, model, usage };
+  }
+
+  /**
+   * Wait, then fail or pick a response according to the script
+   */
+  async respond(prompt, options, model) {
+    this.calls++;
+    const input = options.input || prompt;
+    const mode = options.mode || 'balanced';
+    const rule = (this.script.rules || []).find(candidate =>
+      candidate.pattern.test(input) && (!candidate.mode || candidate.mode === mode)
+    );
+
+    await sleep(this.getLatency(rule));
+
+    const failures = this.script.failures || {};
+    if (rule?.error) {
+      throw this.createError(rule.error, rule.retryAfter ?? failures.retryAfter);
+    }
+    if (this.calls <= (failures.first || 0) || Math.random() < (failures.rate || 0)) {
+      throw this.createError(failures.error || 'server', failures.retryAfter);
+    }
+
+    const responses = this.script.responses || {};
+    const response = rule
+      ? this.next(`rule:${rule.match}`, rule.response)
+      : this.next(mode, responses[mode] ?? responses.default ?? '{{enhanced}}');
+
+    return this.render(String(response), { prompt: input, mode, model });
+  }
+
+  /**
+   * Milliseconds to wait for a call
+   */
+  getLatency(rule) {
+    const latency = rule?.latency ?? this.script.latency ?? 0;
+    if (typeof latency === 'number') return latency;
+    return latency.min + Math.random() * (latency.max - latency.min);
+  }
+
+  /**
+   * Return list responses in order, repeating the last one
+   */
+  next(key, response) {
+    if (!Array.isArray(response)) return response;
+
+    const index = Math.min(this.sequence[key] || 0, response.length - 1);
+    this.sequence[key] = index + 1;
+    return response[index];
+  }
+
+  /**
+   * Fill in response placeholders
+   */
+  render(response, { prompt, mode, model }) {
+    const values = {
+      prompt,
+      mode,
+      model,
+      provider: this.name,
+      enhanced: () => {
+        const { getAllTemplates } = require('../template-utils');
+        const templates = getAllTemplates();
+        return (templates[mode] || templates.balanced).enhance(prompt, {});
+      }
+    };
+
+    return response.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      if (!(name in values)) return match;
+      return typeof values[name] === 'function' ? values[name]() : values[name];
+    });
+  }
+
+  /**
+   * Build an error shaped like a real provider failure
+   */
+  createError(type, retryAfter) {
+    const { message, status, code } = ERROR_TYPES[type];
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    if (type === 'rate_limit' && retryAfter !== undefined) {
+      error.retryAfter = retryAfter * 1000;
+    }
+    return error;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = MockProvider;
@@ -58,6 +58,7 @@ class OllamaProvider extends BaseProvider {
       // If no preferred model found, return first available
       return modelNames[0];
     } catch (error) {
+      if (error.fatal) throw error;
       console.warn(`Failed to detect models: ${error.message}. Using default.`);
       return this.defaultModel;
     }
@@ -113,7 +114,9 @@ class OllamaProvider extends BaseProvider {
       clearTimeout(timeoutId);
       
       if (!response.ok) {
-        throw new Error(`Failed to list models: ${response.status}`);
+        const error = new Error(`Failed to list models: ${response.status}`);
+        error.status = response.status;
+        throw error;
       }
       
       const data = await response.json();
@@ -127,7 +130,7 @@ class OllamaProvider extends BaseProvider {
         quantization: model.details?.quantization_level || 'unknown'
       }));
     } catch (error) {
-      throw new Error(`Failed to list models: ${this.formatError(error)}`);
+      throw this.wrapError(`Failed to list models: ${this.formatError(error)}`, error);
     }
   }
 
@@ -151,25 +154,9 @@ class OllamaProvider extends BaseProvider {
       }
       
       // Stream the response to show progress
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n').filter(line => line.trim());
-        
-        for (const line of lines) {
-          try {
-            const data = JSON.parse(line);
-            if (data.status) {
-              process.stdout.write(`\r${data.status}${data.completed ? ` ${this.formatSize(data.completed)}/${this.formatSize(data.total)}` : ''}`);
-            }
-          } catch (e) {
-            // Ignore JSON parse errors
-          }
+      for await (const data of this.parseNDJSON(response.body)) {
+        if (data.status) {
+          process.stdout.write(`\r${data.status}${data.completed ? ` ${this.formatSize(data.completed)}/${this.formatSize(data.total)}` : ''}`);
         }
       }
       
@@ -181,15 +168,9 @@ class OllamaProvider extends BaseProvider {
   }
 
   /**
-   * Generate completion using Ollama
+   * Make sure a model is available locally, pulling it if allowed
    */
-  async complete(prompt, options = {}) {
-    const model = options.model || this.defaultModel || await this.getBestModelForMode('balanced');
-    
-    // Check rate limits
-    this.checkRateLimits();
-    
-    // Check if model exists, if not try to pull it
+  async ensureModel(model, options = {}) {
     const models = await this.listModels();
     const modelExists = models.some(m => m.id === model);
     
@@ -203,58 +184,86 @@ class OllamaProvider extends BaseProvider {
         throw new Error(`Model ${model} not found. Use --pull to download it.`);
       }
     }
+  }
+
+  /**
+   * Build /api/generate request body
+   */
+  buildRequestBody(model, prompt, options = {}) {
+    const requestBody = {
+      model: model,
+      // /api/generate has no chat history, so earlier turns go in the prompt
+      prompt: this.buildTranscript(prompt, { messages: options.messages }),
+      stream: !!options.stream,
+      options: {
+        temperature: options.temperature || 0.7,
+        top_p: options.top_p || 0.9,
+        top_k: options.top_k || 40,
+        num_predict: options.max_tokens || 2048,
+        // Ollama allocates 2048 tokens unless asked for more
+        num_ctx: options.contextLength > 2048 ? options.contextLength : undefined,
+        stop: options.stop || null,
+        seed: options.seed || null
+      }
+    };
+    
+    if (options.system) {
+      requestBody.system = options.system;
+    }
+    
+    return requestBody;
+  }
+
+  /**
+   * Generate completion using Ollama
+   */
+  async complete(prompt, options = {}) {
+    const model = options.model || this.defaultModel || await this.getBestModelForMode('balanced');
+    
+    // Wait for rate limits
+    await this.checkRateLimits(model, prompt);
+    
+    // Check if model exists, if not try to pull it
+    await this.ensureModel(model, options);
+    
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
     
     try {
-      const requestBody = {
-        model: model,
-        prompt: prompt,
-        stream: options.stream || false,
-        options: {
-          temperature: options.temperature || 0.7,
-          top_p: options.top_p || 0.9,
-          top_k: options.top_k || 40,
-          num_predict: options.max_tokens || 2048,
-          stop: options.stop || null,
-          seed: options.seed || null
-        }
-      };
-      
-      if (options.system) {
-        requestBody.system = options.system;
-      }
-      
       const response = await fetch(`${this.baseUrl}/api/generate`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(this.buildRequestBody(model, prompt, { ...options, stream: false })),
+        signal: controller.signal
       });
       
       if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Ollama API error: ${error}`);
-      }
-      
-      if (options.stream) {
-        // Return stream for handling elsewhere
-        return response.body;
+        const error = new Error(`Ollama API error: ${await response.text()}`);
+        error.status = response.status;
+        throw error;
       }
       
       const result = await response.json();
       
       // Track usage
-      const tokens = this.estimateTokens(prompt) + this.estimateTokens(result.response);
-      this.trackUsage(tokens);
+      const usage = this.getTokenUsage(result, model, prompt, result.response);
+      this.trackUsage(usage.totalTokens, model);
       
-      return result.response;
+      return { text: result.response, model, usage };
     } catch (error) {
-      throw new Error(`Ollama completion failed: ${this.formatError(error)}`);
+      if (error.name === 'AbortError') {
+        error.code = 'ETIMEDOUT';
+      }
+      throw this.wrapError(`Ollama completion failed: ${this.formatError(error)}`, error);
+    } finally {
+      clearTimeout(timeoutId);
     }
   }
 
   /**
-   * Enhanced prompt generation for Ollama
+   * Build enhancement request for Ollama
    */
-  async enhance(prompt, mode, options = {}) {
+  async buildEnhancementRequest(prompt, mode, options = {}) {
     // For Ollama, we'll use more specific prompts optimized for open models
     const enhancementPrompts = {
       balanced: `You are a helpful AI assistant. Please enhance the following prompt to be more clear, structured, and comprehensive. Provide specific details and context where appropriate.
@@ -311,16 +320,19 @@ Enhanced creative prompt:`
     const systemPrompt = options.system || "You are a helpful AI assistant specialized in prompt enhancement.";
     const enhancementPrompt = enhancementPrompts[mode] || enhancementPrompts.balanced;
     
-    // Auto-detect best model for mode if not specified
-    const model = options.model || await this.getBestModelForMode(mode);
+    // Use the configured model for this mode, or auto-detect the best one
+    const model = options.model || this.getModelForMode(mode) || await this.getBestModelForMode(mode);
     
-    return await this.complete(enhancementPrompt, {
-      ...options,
-      model: model,
-      system: systemPrompt,
-      temperature: mode === 'creative' ? 0.9 : 0.7,
-      max_tokens: options.max_tokens || 2048
-    });
+    return {
+      prompt: enhancementPrompt,
+      options: {
+        ...options,
+        model: model,
+        system: systemPrompt,
+        temperature: mode === 'creative' ? 0.9 : 0.7,
+        max_tokens: options.max_tokens || 2048
+      }
+    };
   }
 
   /**
@@ -334,35 +346,76 @@ Enhanced creative prompt:`
   }
 
   /**
-   * Stream handler for real-time output
+   * Stream handler for real-time output (newline-delimited JSON)
    */
   async *streamCompletion(prompt, options = {}) {
-    const stream = await this.complete(prompt, { ...options, stream: true });
-    const reader = stream.getReader();
-    const decoder = new TextDecoder();
+    const model = options.model || this.defaultModel || await this.getBestModelForMode('balanced');
     
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n').filter(line => line.trim());
-        
-        for (const line of lines) {
-          try {
-            const data = JSON.parse(line);
-            if (data.response) {
-              yield data.response;
-            }
-          } catch (e) {
-            // Ignore JSON parse errors
-          }
-        }
+    await this.checkRateLimits(model, prompt);
+    await this.ensureModel(model, options);
+    
+    const response = await fetch(`${this.baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.buildRequestBody(model, prompt, { ...options, stream: true }))
+    });
+    
+    if (!response.ok) {
+      const error = new Error(`Ollama API error: ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    let text = '';
+    let final = {};
+    
+    for await (const data of this.parseNDJSON(response.body)) {
+      if (data.error) {
+        throw new Error(`Ollama API error: ${data.error}`);
+      }
+      if (data.response) {
+        text += data.response;
+        yield data.response;
+      }
+      if (data.done) {
+        final = data;
+        break;
+      }
+    }
+    
+    const usage = this.getTokenUsage(final, model, prompt, text);
+    this.trackUsage(usage.totalTokens, model);
+    return { text, model, usage };
+  }
+
+  /**
+   * Token usage for a /api/generate response
+   * Prefers Ollama's own counts; prompt_eval_count is omitted when the prompt was cached
+   */
+  getTokenUsage(result, model, prompt, text) {
+    return this.getUsage(prompt, text, model, {
+      promptTokens: result.prompt_eval_count,
+      completionTokens: result.eval_count
+    });
+  }
+
+  /**
+   * Get the context window reported by /api/show
+   */
+  async getContextLength(model) {
+    if (this.config.contextLength) return this.config.contextLength;
+    
+    this.contextLengths = this.contextLengths || new Map();
+    if (!this.contextLengths.has(model)) {
+      try {
+        const info = await this.getModelInfo(model);
+        const key = Object.keys(info.model_info || {}).find(name => name.endsWith('.context_length'));
+        this.contextLengths.set(model, key ? info.model_info[key] : await super.getContextLength(model));
+      } catch (error) {
+        return super.getContextLength(model);
       }
-    } finally {
-      reader.releaseLock();
     }
+    return this.contextLengths.get(model);
   }
 
   /**
@@ -0,0 +1,252 @@
+const fetch = require('node-fetch');
+const BaseProvider = require('./base-provider');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * OpenAI-Compatible Provider
+ * Supports any server exposing /v1/chat/completions and /v1/models
+ * (OpenAI, vLLM, LM Studio, llama.cpp server, local mocks)
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('openai', config);
+    this.baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY || null;
+    this.defaultModel = config.defaultModel || process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini';
+    this.timeout = config.timeout || 120000; // 2 minutes default
+    this.availableModels = null; // Will be populated on first use
+  }
+
+  /**
+   * Build request headers
+   */
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Make sure credentials exist when talking to the hosted OpenAI API
+   * Self-hosted compatible servers usually don't require a key
+   */
+  ensureCredentials() {
+    if (!this.apiKey && this.baseUrl === DEFAULT_BASE_URL) {
+      throw new Error('OpenAI API key not found. Set OPENAI_API_KEY, or OPENAI_BASE_URL for a compatible server.');
+    }
+  }
+
+  /**
+   * Fetch with timeout
+   */
+  async request(endpoint, init = {}, timeout = this.timeout) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}${endpoint}`, {
+        ...init,
+        headers: this.getHeaders(),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        const error = new Error(`OpenAI API error ${response.status}: ${body}`);
+        error.status = response.status;
+        error.retryAfter = this.parseRetryAfter(response.headers);
+        error.headers = response.headers;
+        throw error;
+      }
+
+      return response;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`Request to ${this.baseUrl} timed out`);
+        timeoutError.code = 'ETIMEDOUT';
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Initialize and check server connection
+   */
+  async initialize() {
+    this.ensureCredentials();
+
+    try {
+      await this.request('/models', { method: 'GET' }, 15000);
+      return true;
+    } catch (error) {
+      if (error.code === 'ECONNREFUSED') {
+        throw new Error(`OpenAI-compatible server is not reachable at ${this.baseUrl}`);
+      }
+      throw new Error(`Failed to connect to ${this.baseUrl}: ${error.status ? this.formatError(error) : error.message}`);
+    }
+  }
+
+  /**
+   * List available models
+   */
+  async listModels() {
+    this.ensureCredentials();
+
+    try {
+      const response = await this.request('/models', { method: 'GET' }, 15000);
+      const data = await response.json();
+
+      this.availableModels = (data.data || []).map(model => ({
+        id: model.id,
+        name: model.id,
+        ownedBy: model.owned_by || 'unknown',
+        created: model.created ? new Date(model.created * 1000).toISOString() : null
+      }));
+
+      return this.availableModels;
+    } catch (error) {
+      throw this.wrapError(`Failed to list models: ${this.formatError(error)}`, error);
+    }
+  }
+
+  /**
+   * Build chat completion request body
+   */
+  buildRequestBody(prompt, options = {}) {
+    const messages = [];
+
+    if (options.system) {
+      messages.push({ role: 'system', content: options.system });
+    }
+    messages.push(...(options.messages || []));
+    messages.push({ role: 'user', content: prompt });
+
+    const body = {
+      model: options.model || this.defaultModel,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      top_p: options.top_p ?? 0.9,
+      max_tokens: options.max_tokens || options.maxTokens || 2048,
+      stream: !!options.stream
+    };
+
+    if (options.stream) body.stream_options = { include_usage: true };
+    if (options.stop) body.stop = options.stop;
+    if (options.seed !== undefined && options.seed !== null) body.seed = options.seed;
+
+    return body;
+  }
+
+  /**
+   * Generate completion using /chat/completions
+   */
+  async complete(prompt, options = {}) {
+    this.ensureCredentials();
+
+    const body = this.buildRequestBody(prompt, { ...options, stream: false });
+    await this.checkRateLimits(body.model, prompt);
+
+    try {
+      const response = await this.request('/chat/completions', {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+      this.updateRateLimits(body.model, response.headers);
+
+      const result = await response.json();
+      const text = result.choices?.[0]?.message?.content || '';
+
+      // Track usage - prefer server-reported counts
+      const usage = this.getUsage(prompt, text, body.model, {
+        promptTokens: result.usage?.prompt_tokens,
+        completionTokens: result.usage?.completion_tokens
+      });
+      this.trackUsage(usage.totalTokens, body.model);
+
+      return { text, model: result.model || body.model, usage };
+    } catch (error) {
+      if (error.status === 429) {
+        this.updateRateLimits(body.model, error.headers, error.retryAfter);
+      }
+      throw this.wrapError(`OpenAI completion failed: ${error.status || error.code ? this.formatError(error) : error.message}`, error);
+    }
+  }
+
+  /**
+   * Build enhancement request using a system message
+   */
+  async buildEnhancementRequest(prompt, mode, options = {}) {
+    return {
+      prompt,
+      options: {
+        ...options,
+        model: options.model || this.getModelForMode(mode) || this.defaultModel,
+        system: options.system || this.getSystemPromptForMode(mode),
+        temperature: mode === 'creative' ? 0.9 : 0.7
+      }
+    };
+  }
+
+  /**
+   * Stream handler for real-time output (server-sent events)
+   */
+  async *streamCompletion(prompt, options = {}) {
+    this.ensureCredentials();
+
+    const body = this.buildRequestBody(prompt, { ...options, stream: true });
+    await this.checkRateLimits(body.model, prompt);
+
+    let response;
+    try {
+      response = await this.request('/chat/completions', {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      if (error.status === 429) {
+        this.updateRateLimits(body.model, error.headers, error.retryAfter);
+      }
+      throw error;
+    }
+    this.updateRateLimits(body.model, response.headers);
+
+    let text = '';
+    let model = body.model;
+    let reported = {};
+
+    for await (const event of this.parseSSE(response.body)) {
+      if (event.data === '[DONE]') break;
+
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (e) {
+        continue; // Ignore JSON parse errors
+      }
+
+      model = data.model || model;
+      const delta = data.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        yield delta;
+      }
+
+      // Sent in the last chunk when stream_options.include_usage is set
+      if (data.usage) {
+        reported = { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens };
+      }
+    }
+
+    const usage = this.getUsage(prompt, text, body.model, reported);
+    this.trackUsage(usage.totalTokens, body.model);
+    return { text, model, usage };
+  }
+}
+
+module.exports = OpenAIProvider;
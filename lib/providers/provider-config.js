@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const yaml = require('yaml');
+
+/**
+ * Provider Configuration
+ * Loads and validates declarative provider instances from providers.yaml
+ *
+ * Example:
+ *   default: local
+ *   providers:
+ *     local:
+ *       type: ollama
+ *       baseUrl: http://localhost:11434
+ *       models:
+ *         coding: codellama
+ *     gpu-box:
+ *       type: ollama
+ *       baseUrl: http://gpu-box:11434
+ *       timeout: 300000
+ *       contextLength: 32768
+ *     lmstudio:
+ *       type: openai
+ *       baseUrl: http://localhost:1234/v1
+ *       apiKey: ${LMSTUDIO_API_KEY}
+ *     offline:
+ *       type: mock
+ *       script: mock-responses.yaml
+ */
+
+const DEFAULT_CONFIG_PATH = path.join(os.homedir(), '.config', 'claude-enhancer', 'providers.yaml');
+
+// Keys accepted on a provider entry
+const PROVIDER_KEYS = ['type', 'baseUrl', 'apiKey', 'defaultModel', 'models', 'rateLimits', 'timeout', 'contextLength', 'script', 'enabled'];
+const RATE_LIMIT_KEYS = ['requestsPerHour', 'requestsPerMinute', 'tokensPerMinute'];
+
+/**
+ * Get the providers.yaml path
+ */
+function getProviderConfigPath() {
+  return process.env.CLAUDE_ENHANCER_PROVIDERS || DEFAULT_CONFIG_PATH;
+}
+
+/**
+ * Resolve ${VAR} and ${VAR:-fallback} references against the environment
+ * @returns {{value: string, missing: string[]}}
+ */
+function resolveEnvReferences(value) {
+  const missing = [];
+  const resolved = value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+    if (process.env[name] !== undefined && process.env[name] !== '') {
+      return process.env[name];
+    }
+    if (fallback !== undefined) {
+      return fallback;
+    }
+    missing.push(name);
+    return '';
+  });
+
+  return { value: resolved, missing };
+}
+
+/**
+ * Validate a parsed providers.yaml document
+ * @param {Object} document - Parsed YAML
+ * @param {string[]} knownTypes - Registered provider types
+ * @returns {{providers: Array, defaultProvider: string|null, errors: string[], warnings: string[]}}
+ */
+function validateProviderConfig(document, knownTypes) {
+  const errors = [];
+  const warnings = [];
+  const providers = [];
+
+  if (document === null || document === undefined) {
+    return { providers, defaultProvider: null, errors, warnings: ['Configuration file is empty'] };
+  }
+
+  if (typeof document !== 'object' || Array.isArray(document)) {
+    return { providers, defaultProvider: null, errors: ['Configuration must be a mapping'], warnings };
+  }
+
+  for (const key of Object.keys(document)) {
+    if (key !== 'default' && key !== 'providers') {
+      warnings.push(`Unknown top-level key "${key}"`);
+    }
+  }
+
+  const entries = document.providers || {};
+  if (typeof entries !== 'object' || Array.isArray(entries)) {
+    errors.push('"providers" must be a mapping of instance name to settings');
+    return { providers, defaultProvider: null, errors, warnings };
+  }
+
+  for (const [name, entry] of Object.entries(entries)) {
+    const where = `providers.${name}`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${where}: must be a mapping`);
+      continue;
+    }
+
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+      errors.push(`${where}: instance names may only contain letters, digits, "-" and "_"`);
+      continue;
+    }
+
+    const entryErrors = [];
+
+    for (const key of Object.keys(entry)) {
+      if (!PROVIDER_KEYS.includes(key)) {
+        warnings.push(`${where}: unknown key "${key}"`);
+      }
+    }
+
+    if (!entry.type) {
+      entryErrors.push(`${where}: missing "type" (one of ${knownTypes.join(', ')})`);
+    } else if (!knownTypes.includes(entry.type)) {
+      entryErrors.push(`${where}: unknown type "${entry.type}" (one of ${knownTypes.join(', ')})`);
+    }
+
+    // Resolve environment references in string settings
+    const settings = {};
+    for (const key of ['baseUrl', 'apiKey', 'defaultModel', 'script']) {
+      if (entry[key] === undefined) continue;
+      if (typeof entry[key] !== 'string') {
+        entryErrors.push(`${where}.${key}: must be a string`);
+        continue;
+      }
+      const { value, missing } = resolveEnvReferences(entry[key]);
+      missing.forEach(variable => {
+        entryErrors.push(`${where}.${key}: environment variable ${variable} is not set`);
+      });
+      settings[key] = value;
+    }
+
+    if (settings.baseUrl) {
+      try {
+        const url = new URL(settings.baseUrl);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          entryErrors.push(`${where}.baseUrl: must use http or https`);
+        }
+      } catch (error) {
+        entryErrors.push(`${where}.baseUrl: "${settings.baseUrl}" is not a valid URL`);
+      }
+    }
+
+    if (entry.apiKey && !/\$\{/.test(entry.apiKey)) {
+      warnings.push(`${where}.apiKey: secret stored in plain text, prefer an environment reference like \${MY_API_KEY}`);
+    }
+
+    if (entry.timeout !== undefined) {
+      if (!Number.isInteger(entry.timeout) || entry.timeout <= 0) {
+        entryErrors.push(`${where}.timeout: must be a positive number of milliseconds`);
+      } else {
+        settings.timeout = entry.timeout;
+      }
+    }
+
+    if (entry.contextLength !== undefined) {
+      if (!Number.isInteger(entry.contextLength) || entry.contextLength <= 0) {
+        entryErrors.push(`${where}.contextLength: must be a positive number of tokens`);
+      } else {
+        settings.contextLength = entry.contextLength;
+      }
+    }
+
+    if (entry.models !== undefined) {
+      if (!entry.models || typeof entry.models !== 'object' || Array.isArray(entry.models)) {
+        entryErrors.push(`${where}.models: must map mode names to model ids`);
+      } else {
+        for (const [mode, model] of Object.entries(entry.models)) {
+          if (typeof model !== 'string' || !model.trim()) {
+            entryErrors.push(`${where}.models.${mode}: must be a model id`);
+          }
+        }
+        settings.modeModels = { ...entry.models };
+      }
+    }
+
+    if (entry.rateLimits !== undefined) {
+      if (!entry.rateLimits || typeof entry.rateLimits !== 'object' || Array.isArray(entry.rateLimits)) {
+        entryErrors.push(`${where}.rateLimits: must be a mapping`);
+      } else {
+        for (const [key, limit] of Object.entries(entry.rateLimits)) {
+          if (!RATE_LIMIT_KEYS.includes(key)) {
+            warnings.push(`${where}.rateLimits: unknown limit "${key}"`);
+          } else if (!Number.isInteger(limit) || limit <= 0) {
+            entryErrors.push(`${where}.rateLimits.${key}: must be a positive integer`);
+          }
+        }
+        settings.rateLimits = { ...entry.rateLimits };
+      }
+    }
+
+    if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+      entryErrors.push(`${where}.enabled: must be true or false`);
+    }
+
+    errors.push(...entryErrors);
+
+    if (entryErrors.length === 0 && entry.enabled !== false) {
+      providers.push({ name, type: entry.type, settings });
+    }
+  }
+
+  let defaultProvider = null;
+  if (document.default !== undefined) {
+    if (!entries[document.default]) {
+      errors.push(`default: "${document.default}" is not a declared provider`);
+    } else {
+      defaultProvider = document.default;
+    }
+  }
+
+  return { providers, defaultProvider, errors, warnings };
+}
+
+/**
+ * Load and validate providers.yaml
+ * @param {string[]} knownTypes - Registered provider types
+ * @param {string} configPath - Optional path override
+ * @returns {Object|null} Validation result plus path, or null if no file exists
+ */
+function loadProviderConfig(knownTypes, configPath = getProviderConfigPath()) {
+  let content;
+  try {
+    content = fs.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    return { path: configPath, providers: [], defaultProvider: null, errors: [`Cannot read file: ${error.message}`], warnings: [] };
+  }
+
+  let document;
+  try {
+    document = yaml.parse(content);
+  } catch (error) {
+    return { path: configPath, providers: [], defaultProvider: null, errors: [`Invalid YAML: ${error.message}`], warnings: [] };
+  }
+
+  const result = validateProviderConfig(document, knownTypes);
+
+  // Mock scripts are relative to providers.yaml
+  for (const { settings } of result.providers) {
+    if (settings.script) {
+      settings.script = path.resolve(path.dirname(configPath), settings.script);
+    }
+  }
+
+  return { path: configPath, ...result };
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  getProviderConfigPath,
+  resolveEnvReferences,
+  validateProviderConfig,
+  loadProviderConfig
+};
@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const EventEmitter = require('events');
+
+/**
+ * Rate Limiter
+ * Token buckets per provider and model for requests per minute, requests per
+ * hour and tokens per minute. Requests wait until they fit instead of failing.
+ * Bucket state is persisted so separate CLI invocations (batch scripts) share it.
+ */
+
+// Bucket definitions: which limit feeds them and how fast they refill
+const BUCKETS = {
+  requestsPerMinute: { interval: 60000, cost: 'request' },
+  requestsPerHour: { interval: 3600000, cost: 'request' },
+  tokensPerMinute: { interval: 60000, cost: 'tokens' }
+};
+
+// Headers reporting remaining quota and when it resets
+const QUOTA_HEADERS = [
+  // OpenAI and compatible servers
+  { remaining: 'x-ratelimit-remaining-requests', reset: 'x-ratelimit-reset-requests' },
+  { remaining: 'x-ratelimit-remaining-tokens', reset: 'x-ratelimit-reset-tokens' },
+  // Anthropic
+  { remaining: 'anthropic-ratelimit-requests-remaining', reset: 'anthropic-ratelimit-requests-reset' },
+  { remaining: 'anthropic-ratelimit-tokens-remaining', reset: 'anthropic-ratelimit-tokens-reset' },
+  // IETF draft headers
+  { remaining: 'ratelimit-remaining', reset: 'ratelimit-reset' },
+  { remaining: 'x-ratelimit-remaining', reset: 'x-ratelimit-reset' }
+];
+
+/**
+ * Parse a rate-limit reset header into milliseconds from now
+ * Accepts durations ("1s", "6m0s", "20ms"), seconds ("30"), epoch seconds and dates
+ * @returns {number|null}
+ */
+function parseResetHeader(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    // Large values are epoch timestamps rather than delays
+    return number > 1e9 ? Math.max(0, number * 1000 - now) : number * 1000;
+  }
+
+  const duration = text.match(/^(?:(\d+)h)?(?:(\d+)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+)ms)?$/);
+  if (duration) {
+    const [, hours = 0, minutes = 0, seconds = 0, millis = 0] = duration;
+    return Math.round(hours * 3600000 + minutes * 60000 + seconds * 1000 + Number(millis));
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+class RateLimiter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.statePath = options.statePath === undefined
+      ? path.join(os.homedir(), '.cache', 'claude-enhancer', 'rate-limits.json')
+      : options.statePath;
+    this.state = {};
+    this.queues = new Map();
+  }
+
+  /**
+   * Load persisted state
+   * Re-read before every change so concurrent CLI processes see each other
+   */
+  load() {
+    if (!this.statePath) return;
+    try {
+      this.state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (error) {
+      this.state = {};
+    }
+  }
+
+  /**
+   * Persist state (best effort)
+   * Written to a temporary file and renamed so a partial file is never read back
+   */
+  save() {
+    if (!this.statePath) return;
+    const tempPath = `${this.statePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tempPath, this.statePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      // Limits still apply within this process
+    }
+  }
+
+  /**
+   * Get the entry for a key with buckets refilled up to now
+   */
+  getEntry(key, limits, now = Date.now()) {
+    const entry = this.state[key] || { buckets: {}, blockedUntil: 0 };
+
+    for (const [limit, bucket] of Object.entries(BUCKETS)) {
+      const capacity = limits[limit];
+      if (!capacity || !Number.isFinite(capacity)) {
+        delete entry.buckets[limit];
+        continue;
+      }
+
+      const current = entry.buckets[limit] || { available: capacity, updatedAt: now };
+      const refill = (now - current.updatedAt) * (capacity / bucket.interval);
+      entry.buckets[limit] = {
+        available: Math.min(capacity, current.available + refill),
+        updatedAt: now
+      };
+    }
+
+    this.state[key] = entry;
+    return entry;
+  }
+
+  /**
+   * Milliseconds until a request costing `tokens` fits every bucket
+   */
+  getWaitTime(entry, limits, tokens, now = Date.now()) {
+    let wait = Math.max(0, (entry.blockedUntil || 0) - now);
+    let reason = wait > 0 ? 'server' : null;
+
+    for (const [limit, bucket] of Object.entries(BUCKETS)) {
+      const state = entry.buckets[limit];
+      if (!state) continue;
+
+      const capacity = limits[limit];
+      // A single oversized request only has to wait for a full bucket
+      const needed = bucket.cost === 'tokens' ? Math.min(tokens, capacity) : 1;
+      const deficit = needed - state.available;
+
+      if (deficit > 0) {
+        const bucketWait = Math.ceil(deficit / (capacity / bucket.interval));
+        if (bucketWait > wait) {
+          wait = bucketWait;
+          reason = limit;
+        }
+      }
+    }
+
+    return { wait, reason };
+  }
+
+  /**
+   * Wait until a request fits the limits, then reserve it
+   * Requests for the same key are queued in order within this process
+   * @param {string} key - Provider/model key
+   * @param {Object} limits - { requestsPerMinute, requestsPerHour, tokensPerMinute }
+   * @param {number} tokens - Estimated tokens the request will use
+   * @returns {Promise<number>} Total milliseconds waited
+   */
+  acquire(key, limits, tokens = 0) {
+    const previous = this.queues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.waitForCapacity(key, limits, tokens));
+
+    this.queues.set(key, next);
+    next.finally(() => {
+      if (this.queues.get(key) === next) this.queues.delete(key);
+    }).catch(() => {});
+
+    return next;
+  }
+
+  /**
+   * Sleep until every bucket has room, then take one request
+   */
+  async waitForCapacity(key, limits, tokens) {
+    let waited = 0;
+
+    for (;;) {
+      this.load();
+      const now = Date.now();
+      const entry = this.getEntry(key, limits, now);
+      const { wait, reason } = this.getWaitTime(entry, limits, tokens, now);
+
+      if (wait <= 0) {
+        for (const [limit, bucket] of Object.entries(BUCKETS)) {
+          if (bucket.cost === 'request' && entry.buckets[limit]) {
+            entry.buckets[limit].available -= 1;
+          }
+        }
+        this.save();
+        return waited;
+      }
+
+      this.emit('wait', { key, delay: wait, reason, timestamp: new Date().toISOString() });
+      await new Promise(resolve => setTimeout(resolve, wait));
+      waited += wait;
+    }
+  }
+
+  /**
+   * Record tokens actually used by a request
+   * Buckets may go negative, delaying the next request accordingly
+   */
+  consume(key, limits, tokens) {
+    if (!tokens) return;
+
+    this.load();
+    const bucket = this.getEntry(key, limits).buckets.tokensPerMinute;
+    if (bucket) {
+      bucket.available -= tokens;
+      this.save();
+    }
+  }
+
+  /**
+   * Block a key until the server says requests may resume
+   * @param {number} delay - Milliseconds from now
+   */
+  block(key, delay) {
+    if (!delay || delay <= 0) return;
+
+    this.load();
+    const entry = this.state[key] || { buckets: {}, blockedUntil: 0 };
+    entry.blockedUntil = Math.max(entry.blockedUntil || 0, Date.now() + delay);
+    this.state[key] = entry;
+    this.save();
+  }
+
+  /**
+   * Apply rate-limit headers from an HTTP response
+   * Exhausted quotas block the key until their reset time
+   * @param {string} key - Provider/model key
+   * @param {Headers} headers - Response headers
+   */
+  applyHeaders(key, headers) {
+    if (!headers?.get) return;
+
+    let delay = 0;
+    for (const { remaining, reset } of QUOTA_HEADERS) {
+      const value = headers.get(remaining);
+      if (value === null || Number(value) > 0) continue;
+
+      const resetIn = parseResetHeader(headers.get(reset));
+      if (resetIn) delay = Math.max(delay, resetIn);
+    }
+
+    this.block(key, delay);
+  }
+
+  /**
+   * Get current bucket levels for all keys
+   */
+  getStatus() {
+    this.load();
+    return this.state;
+  }
+
+  /**
+   * Forget all counters
+   */
+  reset() {
+    this.state = {};
+    this.save();
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+module.exports = {
+  getRateLimiter: () => {
+    if (!instance) {
+      instance = new RateLimiter();
+    }
+    return instance;
+  },
+  RateLimiter,
+  parseResetHeader
+};
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { GENERATION_OPTIONS } = require('../response-cache');
+const { formatDiff, countChanges } = require('../text-diff');
+
+/**
+ * Provider Recorder
+ * Records provider calls as JSON fixtures (--record <dir>) and serves them
+ * back without touching the network (--replay <dir>).
+ *
+ * Recorded calls: complete, streamCompletion, listModels and getContextLength,
+ * so model selection and context sizing replay the same way they recorded.
+ * Fixtures are stored as <provider>-<kind>-<hash>.json
+ */
+
+const RECORDER_MODES = ['record', 'replay'];
+
+class Recorder {
+  constructor(mode, dir) {
+    if (!RECORDER_MODES.includes(mode)) {
+      throw new Error(`Unknown recorder mode '${mode}'. Use one of: ${RECORDER_MODES.join(', ')}`);
+    }
+
+    this.mode = mode;
+    this.dir = path.resolve(dir);
+    this.fixtures = null;
+    this.recorded = 0;
+    this.replayed = 0;
+  }
+
+  /**
+   * Route a provider's calls through the recorder
+   */
+  attach(provider) {
+    const original = {
+      complete: provider.complete.bind(provider),
+      streamCompletion: provider.streamCompletion.bind(provider),
+      listModels: provider.listModels.bind(provider),
+      getContextLength: provider.getContextLength.bind(provider)
+    };
+
+    provider.recorder = this;
+
+    provider.complete = (prompt, options = {}) => this.call(
+      provider.name, 'completion', this.describeCompletion(provider, prompt, options),
+      () => original.complete(prompt, options)
+    );
+
+    provider.streamCompletion = (prompt, options = {}) => this.stream(
+      provider.name, this.describeCompletion(provider, prompt, options),
+      () => original.streamCompletion(prompt, options)
+    );
+
+    provider.listModels = () => this.call(
+      provider.name, 'models', {},
+      () => original.listModels()
+    );
+
+    provider.getContextLength = (model) => this.call(
+      provider.name, 'context', { model: model || provider.defaultModel || null },
+      () => original.getContextLength(model)
+    );
+  }
+
+  /**
+   * The parts of a completion request that affect the response
+   */
+  describeCompletion(provider, prompt, options) {
+    const generation = {};
+    for (const name of GENERATION_OPTIONS) {
+      if (options[name] !== undefined && options[name] !== null) {
+        generation[name] = options[name];
+      }
+    }
+
+    return {
+      model: options.model || provider.defaultModel || null,
+      prompt,
+      options: generation
+    };
+  }
+
+  /**
+   * Record or replay a single call
+   */
+  async call(providerName, kind, request, run) {
+    if (this.mode === 'replay') {
+      return this.replay(providerName, kind, request).response;
+    }
+
+    const response = await run();
+    this.save(providerName, kind, request, { response });
+    return response;
+  }
+
+  /**
+   * Record or replay a streamed completion, keeping chunk boundaries
+   * and the details the stream returns
+   */
+  async *stream(providerName, request, run) {
+    if (this.mode === 'replay') {
+      const fixture = this.replay(providerName, 'completion', request);
+      const text = typeof fixture.response === 'string' ? fixture.response : fixture.response.text;
+      for (const chunk of fixture.chunks || [text]) {
+        yield chunk;
+      }
+      return fixture.response;
+    }
+
+    const chunks = [];
+    const stream = run();
+    let step;
+    while (!(step = await stream.next()).done) {
+      chunks.push(step.value);
+      yield step.value;
+    }
+    this.save(providerName, 'completion', request, { response: step.value ?? chunks.join(''), chunks });
+    return step.value;
+  }
+
+  /**
+   * Stable key for a request
+   */
+  getKey(providerName, kind, request) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ provider: providerName, kind, request }))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Write a fixture
+   */
+  save(providerName, kind, request, result) {
+    const key = this.getKey(providerName, kind, request);
+    const fixture = {
+      provider: providerName,
+      kind,
+      request,
+      ...result,
+      recordedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${providerName}-${kind}-${key}.json`);
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+
+    this.loadFixtures().set(key, { ...fixture, file });
+    this.recorded++;
+  }
+
+  /**
+   * Load all fixtures in the directory, keyed by request
+   * Keys are recomputed so hand-edited fixtures still match
+   */
+  loadFixtures() {
+    if (this.fixtures) return this.fixtures;
+
+    this.fixtures = new Map();
+    if (!fs.existsSync(this.dir)) {
+      if (this.mode === 'replay') {
+        throw new Error(`Replay directory not found: ${this.dir}`);
+      }
+      return this.fixtures;
+    }
+
+    for (const name of fs.readdirSync(this.dir).filter(file => file.endsWith('.json'))) {
+      const file = path.join(this.dir, name);
+      try {
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (fixture.provider && fixture.kind && fixture.request) {
+          this.fixtures.set(this.getKey(fixture.provider, fixture.kind, fixture.request), { ...fixture, file });
+        }
+      } catch (error) {
+        console.warn(`Skipping invalid fixture ${file}: ${error.message}`);
+      }
+    }
+
+    return this.fixtures;
+  }
+
+  /**
+   * Find the recorded fixture for a request or fail loudly
+   */
+  replay(providerName, kind, request) {
+    const fixture = this.loadFixtures().get(this.getKey(providerName, kind, request));
+    if (fixture) {
+      this.replayed++;
+      return fixture;
+    }
+
+    const closest = this.findClosest(providerName, kind, request);
+    const details = closest
+      ? `Closest recording: ${path.relative(process.cwd(), closest.file)}\n${this.describeDifference(closest, providerName, request)}`
+      : `No ${kind} recordings in ${this.dir}`;
+
+    const error = new Error(`Replay miss: no recorded ${kind} for ${providerName} matches this request.\n${details}`);
+    error.code = 'EREPLAYMISS';
+    error.fatal = true; // Never fall back to other providers or templates
+    throw error;
+  }
+
+  /**
+   * Find the recorded request most similar to a request of the same kind
+   */
+  findClosest(providerName, kind, request) {
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const fixture of this.loadFixtures().values()) {
+      if (fixture.kind !== kind) continue;
+
+      const recorded = fixture.request;
+      let score = fixture.provider === providerName ? 0 : 1000;
+      if (recorded.model !== request.model) score += 100;
+      score += this.diffOptions(recorded.options, request.options).length * 10;
+      if (recorded.prompt !== undefined || request.prompt !== undefined) {
+        score += countChanges(recorded.prompt || '', request.prompt || '');
+      }
+
+      if (score < bestScore) {
+        best = fixture;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * List option names whose values differ
+   */
+  diffOptions(recorded = {}, actual = {}) {
+    const names = new Set([...Object.keys(recorded), ...Object.keys(actual)]);
+    return [...names].filter(name => JSON.stringify(recorded[name]) !== JSON.stringify(actual[name]));
+  }
+
+  /**
+   * Explain how a request differs from a recorded one
+   */
+  describeDifference(fixture, providerName, request) {
+    const recorded = fixture.request;
+    const lines = [];
+
+    if (fixture.provider !== providerName) {
+      lines.push(`  provider: ${fixture.provider} → ${providerName}`);
+    }
+    if (recorded.model !== request.model) {
+      lines.push(`  model: ${JSON.stringify(recorded.model)} → ${JSON.stringify(request.model)}`);
+    }
+    for (const name of this.diffOptions(recorded.options, request.options)) {
+      lines.push(`  options.${name}: ${JSON.stringify(recorded.options?.[name])} → ${JSON.stringify(request.options?.[name])}`);
+    }
+    if ((recorded.prompt || '') !== (request.prompt || '')) {
+      lines.push('  prompt (- recorded, + requested):');
+      lines.push(formatDiff(recorded.prompt || '', request.prompt || '', { context: 2 }).replace(/^/gm, '    '));
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = {
+  Recorder,
+  RECORDER_MODES
+};
@@ -1,14 +1,38 @@
 const OllamaProvider = require('./ollama');
 const HuggingFaceProvider = require('./huggingface');
+const OpenAIProvider = require('./openai');
+const AnthropicProvider = require('./anthropic');
+const MockProvider = require('./mock');
+const { loadProviderConfig } = require('./provider-config');
+const { getUserConfig } = require('../user-config');
+const { getPluginManager } = require('../plugins');
+const { isTransientError, computeBackoff, CircuitBreaker } = require('./resilience');
+const EventEmitter = require('events');
+
+// Provider classes available to providers.yaml by `type`
+const providerTypes = {
+  ollama: OllamaProvider,
+  huggingface: HuggingFaceProvider,
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  mock: MockProvider
+};
 
 /**
  * Provider Registry
  * Manages multiple LLM providers and handles failover
  */
-class ProviderRegistry {
-  constructor() {
+class ProviderRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
     this.providers = new Map();
     this.defaultProvider = null;
+    this.retryPolicy = {
+      retries: getUserConfig().get('maxRetries') ?? Number(process.env.MAX_RETRIES || 2),
+      baseDelay: 500,
+      maxDelay: 8000
+    };
+    this.circuitBreaker = options.circuitBreaker || new CircuitBreaker();
     this.initializeProviders();
   }
 
@@ -19,11 +43,58 @@ class ProviderRegistry {
     // Register available providers
     this.registerProvider('ollama', OllamaProvider);
     this.registerProvider('huggingface', HuggingFaceProvider);
+    this.registerProvider('openai', OpenAIProvider);
+    this.registerProvider('anthropic', AnthropicProvider);
+    
+    // Scripted provider for offline development, opt-in so it never answers real requests
+    const mockScript = process.env.CLAUDE_ENHANCER_MOCK;
+    if (mockScript) {
+      this.registerProvider('mock', MockProvider, ['1', 'true'].includes(mockScript) ? {} : { script: mockScript });
+    }
     
     // Add more providers as they're implemented
-    // this.registerProvider('openai', OpenAIProvider);
-    // this.registerProvider('anthropic', AnthropicProvider);
     // this.registerProvider('google', GoogleProvider);
+    
+    // Providers contributed by plugins, also usable as `type` in providers.yaml
+    for (const { name, ProviderClass, config } of getPluginManager().providers) {
+      providerTypes[name] = ProviderClass;
+      this.registerProvider(name, ProviderClass, config);
+    }
+    
+    this.loadConfiguredProviders();
+    
+    // Saved user preference wins over providers.yaml and registration order
+    const savedDefault = getUserConfig().get('defaultProvider');
+    if (savedDefault) {
+      if (this.providers.has(savedDefault)) {
+        this.defaultProvider = savedDefault;
+      } else {
+        console.warn(`Saved default provider '${savedDefault}' is not available. Using ${this.defaultProvider}.`);
+      }
+    }
+  }
+
+  /**
+   * Register provider instances declared in providers.yaml
+   * Declared instances override built-ins with the same name
+   */
+  loadConfiguredProviders() {
+    const config = loadProviderConfig(Object.keys(providerTypes));
+    if (!config) return;
+    
+    this.configPath = config.path;
+    
+    if (config.errors.length > 0) {
+      console.warn(`Provider config ${config.path} has ${config.errors.length} error(s). Run "enhance providers validate" for details.`);
+    }
+    
+    for (const { name, type, settings } of config.providers) {
+      this.registerProvider(name, providerTypes[type], settings);
+    }
+    
+    if (config.defaultProvider && this.providers.has(config.defaultProvider)) {
+      this.defaultProvider = config.defaultProvider;
+    }
   }
 
   /**
@@ -32,6 +103,12 @@ class ProviderRegistry {
   registerProvider(name, ProviderClass, config = {}) {
     try {
       const provider = new ProviderClass(config);
+      provider.name = name;
+      
+      if (config.rateLimits) {
+        provider.rateLimits = { ...provider.rateLimits, ...config.rateLimits };
+      }
+      
       this.providers.set(name, provider);
       
       // Set first provider as default
@@ -81,38 +158,107 @@ class ProviderRegistry {
     this.defaultProvider = name;
   }
 
+  /**
+   * Record or replay all provider calls
+   * @param {Recorder} recorder - Recorder in 'record' or 'replay' mode
+   */
+  useRecorder(recorder) {
+    for (const provider of this.providers.values()) {
+      recorder.attach(provider);
+    }
+    this.recorder = recorder;
+    
+    // Keep runs deterministic: no circuit state from live runs
+    this.circuitBreaker = new CircuitBreaker({ statePath: null });
+  }
+
+  /**
+   * Build the provider order for fallback
+   * Preferred provider first, then the user-defined order, then the rest
+   */
+  getFallbackOrder(preferred, order = getUserConfig().get('fallbackOrder') || []) {
+    const names = [preferred, ...order, ...this.providers.keys()]
+      .filter(name => name && this.providers.has(name));
+    return [...new Set(names)];
+  }
+
   /**
    * Execute with fallback
-   * Try primary provider, fall back to others on failure
+   * Retries transient errors with exponential backoff, skips providers whose
+   * circuit is open, then falls back to other providers. A provider requested
+   * with fallback disabled is always called, even with its circuit open.
+   * Only transient errors count towards opening a circuit.
+   * Progress is reported as structured events instead of console output:
+   *   registry.on('fallback', event => ...) or options.onEvent(event)
+   * Results with a `text` field (CompletionResult) get the chain of providers tried
+   * as `fallback`: [{ provider, status: 'skipped'|'failed'|'success', attempts, error }]
+   * @param {Function} operation - async (provider) => result
+   * @param {Object} options - { provider, order, fallback, retry: { retries, baseDelay, maxDelay }, onEvent }
    */
   async executeWithFallback(operation, options = {}) {
     const errors = [];
+    const chain = [];
+    const policy = { ...this.retryPolicy, ...options.retry };
     const preferredProvider = options.provider || this.defaultProvider;
+    const candidates = options.fallback === false
+      ? [preferredProvider]
+      : this.getFallbackOrder(preferredProvider, options.order);
     
-    // Try preferred provider first
-    if (preferredProvider) {
-      try {
-        const provider = this.getProvider(preferredProvider);
-        return await operation(provider);
-      } catch (error) {
-        errors.push({ provider: preferredProvider, error: error.message });
-      }
-    }
+    const report = (event) => {
+      const fullEvent = { ...event, timestamp: new Date().toISOString() };
+      this.emit('fallback', fullEvent);
+      if (options.onEvent) options.onEvent(fullEvent);
+    };
     
-    // Try other providers
-    for (const [name, provider] of this.providers) {
-      if (name === preferredProvider) continue;
+    for (const [index, name] of candidates.entries()) {
+      if (options.fallback !== false && this.circuitBreaker.isOpen(name)) {
+        const remaining = this.circuitBreaker.remainingCooldown(name);
+        errors.push({ provider: name, error: `circuit open (retry in ${Math.ceil(remaining / 1000)}s)` });
+        chain.push({ provider: name, status: 'skipped', attempts: 0, error: 'circuit open' });
+        report({ type: 'skip', provider: name, reason: 'circuit-open', cooldownRemaining: remaining });
+        continue;
+      }
       
-      try {
-        console.log(`Falling back to ${name} provider...`);
-        return await operation(provider);
-      } catch (error) {
-        errors.push({ provider: name, error: error.message });
+      if (index > 0) {
+        report({ type: 'fallback', provider: name, from: candidates[index - 1] });
+      }
+      
+      const provider = this.getProvider(name);
+      
+      for (let attempt = 1; attempt <= policy.retries + 1; attempt++) {
+        try {
+          const result = await operation(provider);
+          this.circuitBreaker.recordSuccess(name);
+          report({ type: 'success', provider: name, attempt });
+          chain.push({ provider: name, status: 'success', attempts: attempt });
+          return typeof result?.text === 'string' ? { ...result, fallback: chain } : result;
+        } catch (error) {
+          // Errors like an unmatched replay must surface, not fall back
+          if (error.fatal) throw error;
+          
+          const transient = isTransientError(error);
+          
+          if (transient && attempt <= policy.retries) {
+            const delay = computeBackoff(attempt, policy, error.retryAfter);
+            report({ type: 'retry', provider: name, attempt, delay, error: error.message });
+            await new Promise(resolve => setTimeout(resolve, delay));
+            continue;
+          }
+          
+          // Auth and request errors say nothing about the provider's health
+          const opened = transient && this.circuitBreaker.recordFailure(name);
+          errors.push({ provider: name, error: error.message });
+          chain.push({ provider: name, status: 'failed', attempts: attempt, error: error.message });
+          report({ type: 'failure', provider: name, attempt, transient, circuitOpen: opened, error: error.message });
+          break;
+        }
       }
     }
     
     // All providers failed
-    throw new Error(`All providers failed:\n${errors.map(e => `- ${e.provider}: ${e.error}`).join('\n')}`);
+    const error = new Error(`All providers failed:\n${errors.map(e => `- ${e.provider}: ${e.error}`).join('\n')}`);
+    error.failures = errors;
+    throw error;
   }
 
   /**
@@ -164,15 +310,15 @@ class ProviderRegistry {
     for (const [name, provider] of this.providers) {
       try {
         console.log(`Testing ${name}...`);
-        const startTime = Date.now();
-        const result = await provider.complete(prompt, options);
-        const endTime = Date.now();
+        const result = await provider.generate(prompt, options);
         
         results[name] = {
           success: true,
-          response: result,
-          time: endTime - startTime,
-          tokens: provider.estimateTokens(result)
+          response: result.text,
+          model: result.model,
+          time: result.latency,
+          tokens: result.usage.completionTokens,
+          usage: result.usage
         };
       } catch (error) {
         results[name] = {
@@ -196,5 +342,6 @@ module.exports = {
     }
     return instance;
   },
-  ProviderRegistry
+  ProviderRegistry,
+  providerTypes
 };
\ No newline at end of file
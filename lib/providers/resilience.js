@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Resilience Helpers
+ * Retry classification, exponential backoff and per-provider circuit breakers
+ */
+
+const TRANSIENT_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+/**
+ * Check whether an error is worth retrying
+ * Connection problems, timeouts, 429 and 5xx responses are transient
+ */
+function isTransientError(error) {
+  if (!error) return false;
+
+  if (TRANSIENT_CODES.includes(error.code) || error.name === 'AbortError') {
+    return true;
+  }
+
+  const status = Number(error.status);
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return true;
+  }
+
+  // Providers that don't attach a code or status
+  return /ECONNREFUSED|ECONNRESET|ETIMEDOUT|timed? ?out|rate limit|\b(429|50[0-4])\b/i.test(error.message || '');
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Retry number starting at 1
+ * @param {Object} policy - { baseDelay, maxDelay }
+ * @param {number} retryAfter - Server-requested delay in ms, if any
+ * @returns {number} Delay in ms
+ */
+function computeBackoff(attempt, policy, retryAfter) {
+  if (retryAfter !== undefined && retryAfter !== null) {
+    return Math.min(retryAfter, policy.maxDelay);
+  }
+
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Circuit Breaker
+ * Skips providers that keep failing until a cool-down period passes.
+ * Failures count towards the threshold while each comes within a cool-down
+ * of the last. State is persisted so separate CLI invocations share it.
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldown = options.cooldown || 60000; // 1 minute
+    this.statePath = options.statePath === undefined
+      ? path.join(os.homedir(), '.cache', 'claude-enhancer', 'circuit-breakers.json')
+      : options.statePath;
+    this.state = {};
+    this.load();
+  }
+
+  /**
+   * Load persisted state
+   * Re-read before every change so concurrent CLI processes see each other
+   */
+  load() {
+    if (!this.statePath) return;
+    try {
+      this.state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (error) {
+      this.state = {};
+    }
+  }
+
+  /**
+   * Persist state (best effort)
+   * Written to a temporary file and renamed so readers never see a partial file
+   */
+  save() {
+    if (!this.statePath) return;
+    const tempPath = `${this.statePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tempPath, this.statePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      // State is an optimization, ignore write failures
+    }
+  }
+
+  /**
+   * Get the state of a provider's circuit
+   * @returns {'closed'|'open'|'half-open'}
+   */
+  getStatus(name) {
+    const entry = this.state[name];
+    if (!entry || !entry.openedAt) return 'closed';
+    return Date.now() - entry.openedAt >= this.cooldown ? 'half-open' : 'open';
+  }
+
+  /**
+   * Check whether calls to a provider should be skipped
+   */
+  isOpen(name) {
+    return this.getStatus(name) === 'open';
+  }
+
+  /**
+   * Milliseconds until an open circuit allows a trial call
+   */
+  remainingCooldown(name) {
+    const entry = this.state[name];
+    if (!entry || !entry.openedAt) return 0;
+    return Math.max(0, this.cooldown - (Date.now() - entry.openedAt));
+  }
+
+  /**
+   * Record a successful call, closing the circuit
+   */
+  recordSuccess(name) {
+    this.load();
+    if (this.state[name]) {
+      delete this.state[name];
+      this.save();
+    }
+  }
+
+  /**
+   * Record a failed call
+   * @returns {boolean} True if the circuit is now open
+   */
+  recordFailure(name) {
+    this.load();
+    const now = Date.now();
+    const wasHalfOpen = this.getStatus(name) === 'half-open';
+    const entry = this.state[name] || { failures: 0, openedAt: null };
+
+    // Failures further apart than the cool-down don't add up
+    if (!entry.openedAt && entry.lastFailure && now - entry.lastFailure >= this.cooldown) {
+      entry.failures = 0;
+    }
+
+    entry.failures++;
+    entry.lastFailure = now;
+
+    // A failed trial call re-opens immediately
+    if (wasHalfOpen || entry.failures >= this.failureThreshold) {
+      entry.openedAt = now;
+    }
+
+    this.state[name] = entry;
+    this.save();
+    return !!entry.openedAt;
+  }
+
+  /**
+   * Close all circuits
+   */
+  reset() {
+    this.state = {};
+    this.save();
+  }
+}
+
+module.exports = {
+  isTransientError,
+  computeBackoff,
+  CircuitBreaker
+};
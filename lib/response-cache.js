@@ -0,0 +1,249 @@
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+/**
+ * Response Cache
+ * One SQLite-backed cache for every provider. Entries are keyed on a hash of
+ * the provider, model, mode, full prompt and all generation options, expire
+ * after a TTL, and are evicted least-recently-used past the size limits.
+ */
+
+// Options that change what a model generates
+const GENERATION_OPTIONS = [
+  'system', 'messages', 'temperature', 'top_p', 'top_k', 'max_tokens', 'maxTokens',
+  'stop', 'seed', 'modelTier', 'contextLength'
+];
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_SIZE = 50 * 1024 * 1024; // 50 MB
+
+class ResponseCache {
+  constructor(options = {}) {
+    const cacheDir = (process.env.CACHE_DIR || '').replace(/^~(?=$|\/)/, os.homedir())
+      || path.join(os.homedir(), '.cache', 'claude-enhancer');
+    this.dbPath = options.dbPath || path.join(cacheDir, 'response-cache.db');
+    this.ttl = options.ttl || (Number(process.env.CACHE_TTL) * 1000) || DEFAULT_TTL;
+    this.maxEntries = options.maxEntries || Number(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+    this.maxSize = options.maxSize || (Number(process.env.CACHE_MAX_SIZE_MB) * 1024 * 1024) || DEFAULT_MAX_SIZE;
+    this.db = null;
+  }
+
+  /**
+   * Open the database on first use
+   */
+  getDb() {
+    if (this.db) return this.db;
+
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS responses (
+        key TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        model TEXT,
+        mode TEXT,
+        response TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        last_accessed INTEGER NOT NULL,
+        hits INTEGER DEFAULT 0
+      );
+
+      CREATE TABLE IF NOT EXISTS provider_stats (
+        provider TEXT PRIMARY KEY,
+        hits INTEGER DEFAULT 0,
+        misses INTEGER DEFAULT 0
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_responses_provider ON responses(provider);
+      CREATE INDEX IF NOT EXISTS idx_responses_accessed ON responses(last_accessed);
+    `);
+    return this.db;
+  }
+
+  /**
+   * Build a cache key from everything that affects the response
+   * @param {Object} request - { provider, model, mode, prompt, options }
+   */
+  getKey({ provider, model, mode, prompt, options = {} }) {
+    const generation = {};
+    for (const name of GENERATION_OPTIONS) {
+      if (options[name] !== undefined && options[name] !== null) {
+        generation[name] = options[name];
+      }
+    }
+
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ provider, model: model || null, mode: mode || null, prompt, generation }))
+      .digest('hex');
+  }
+
+  /**
+   * Look up a cached response
+   * @returns {string|null}
+   */
+  get(key, provider) {
+    const db = this.getDb();
+    const now = Date.now();
+    const row = db.prepare('SELECT response, expires_at FROM responses WHERE key = ?').get(key);
+
+    if (row && row.expires_at > now) {
+      db.prepare('UPDATE responses SET last_accessed = ?, hits = hits + 1 WHERE key = ?').run(now, key);
+      this.recordLookup(provider, true);
+      return row.response;
+    }
+
+    if (row) {
+      db.prepare('DELETE FROM responses WHERE key = ?').run(key);
+    }
+    this.recordLookup(provider, false);
+    return null;
+  }
+
+  /**
+   * Store a response, evicting old entries past the limits
+   */
+  set(key, response, { provider, model, mode } = {}) {
+    const db = this.getDb();
+    const now = Date.now();
+
+    db.prepare(`
+      INSERT OR REPLACE INTO responses (key, provider, model, mode, response, size, created_at, expires_at, last_accessed)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(key, provider, model || null, mode || null, response, Buffer.byteLength(response), now, now + this.ttl, now);
+
+    this.enforceLimits();
+  }
+
+  /**
+   * Count a hit or miss for a provider
+   */
+  recordLookup(provider, hit) {
+    this.getDb().prepare(`
+      INSERT INTO provider_stats (provider, hits, misses) VALUES (?, ?, ?)
+      ON CONFLICT(provider) DO UPDATE SET hits = hits + excluded.hits, misses = misses + excluded.misses
+    `).run(provider, hit ? 1 : 0, hit ? 0 : 1);
+  }
+
+  /**
+   * Evict least recently used entries until within size limits
+   * @returns {number} Entries removed
+   */
+  enforceLimits() {
+    const db = this.getDb();
+    let removed = 0;
+
+    const { count, size } = db.prepare('SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) AS size FROM responses').get();
+    if (count > this.maxEntries) {
+      removed += db.prepare(`
+        DELETE FROM responses WHERE key IN (
+          SELECT key FROM responses ORDER BY last_accessed ASC LIMIT ?
+        )
+      `).run(count - this.maxEntries).changes;
+    }
+
+    if (size > this.maxSize) {
+      let excess = size - this.maxSize;
+      const oldest = db.prepare('SELECT key, size FROM responses ORDER BY last_accessed ASC').all();
+      const remove = db.prepare('DELETE FROM responses WHERE key = ?');
+      for (const row of oldest) {
+        if (excess <= 0) break;
+        remove.run(row.key);
+        excess -= row.size;
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove expired entries and enforce size limits
+   * @returns {{expired: number, evicted: number}}
+   */
+  prune() {
+    const expired = this.getDb().prepare('DELETE FROM responses WHERE expires_at <= ?').run(Date.now()).changes;
+    const evicted = this.enforceLimits();
+    return { expired, evicted };
+  }
+
+  /**
+   * Remove cached responses
+   * @param {string} provider - Only clear this provider's entries
+   * @returns {number} Entries removed
+   */
+  clear(provider = null) {
+    const db = this.getDb();
+    if (provider) {
+      db.prepare('DELETE FROM provider_stats WHERE provider = ?').run(provider);
+      return db.prepare('DELETE FROM responses WHERE provider = ?').run(provider).changes;
+    }
+    db.prepare('DELETE FROM provider_stats').run();
+    return db.prepare('DELETE FROM responses').run().changes;
+  }
+
+  /**
+   * Cache statistics for one provider
+   */
+  getProviderStats(provider) {
+    const db = this.getDb();
+    const entries = db.prepare('SELECT COUNT(*) AS size FROM responses WHERE provider = ?').get(provider);
+    const lookups = db.prepare('SELECT hits, misses FROM provider_stats WHERE provider = ?').get(provider) || { hits: 0, misses: 0 };
+    return { size: entries.size, ...lookups, hitRate: formatHitRate(lookups.hits, lookups.misses) };
+  }
+
+  /**
+   * Overall and per-provider statistics
+   */
+  getStats() {
+    const db = this.getDb();
+    const totals = db.prepare(`
+      SELECT COUNT(*) AS entries, COALESCE(SUM(size), 0) AS size,
+             SUM(CASE WHEN expires_at <= ? THEN 1 ELSE 0 END) AS expired
+      FROM responses
+    `).get(Date.now());
+    const lookups = db.prepare('SELECT COALESCE(SUM(hits), 0) AS hits, COALESCE(SUM(misses), 0) AS misses FROM provider_stats').get();
+    const providers = db.prepare(`
+      SELECT p.provider, p.hits, p.misses, COUNT(r.key) AS entries
+      FROM provider_stats p LEFT JOIN responses r ON r.provider = p.provider
+      GROUP BY p.provider ORDER BY p.provider
+    `).all();
+
+    return {
+      path: this.dbPath,
+      entries: totals.entries,
+      expired: totals.expired || 0,
+      size: totals.size,
+      maxEntries: this.maxEntries,
+      maxSize: this.maxSize,
+      ttl: this.ttl,
+      hits: lookups.hits,
+      misses: lookups.misses,
+      hitRate: formatHitRate(lookups.hits, lookups.misses),
+      providers: providers.map(row => ({ ...row, hitRate: formatHitRate(row.hits, row.misses) }))
+    };
+  }
+}
+
+function formatHitRate(hits, misses) {
+  return hits + misses > 0 ? `${((hits / (hits + misses)) * 100).toFixed(1)}%` : '0%';
+}
+
+// Singleton instance
+let instance = null;
+
+module.exports = {
+  getResponseCache: () => {
+    if (!instance) {
+      instance = new ResponseCache();
+    }
+    return instance;
+  },
+  ResponseCache,
+  GENERATION_OPTIONS
+};
@@ -0,0 +1,79 @@
+/**
+ * Secret Redactor
+ * Masks API keys, tokens and credentials in text before it is shared.
+ * Each match is replaced with [REDACTED:<kind>] so readers can still see
+ * what was there.
+ */
+
+// Specific formats first, so a key is named for its provider rather than
+// caught by the generic assignment rule
+const SECRET_PATTERNS = [
+  { kind: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { kind: 'anthropic-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { kind: 'openai-key', pattern: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g },
+  { kind: 'huggingface-token', pattern: /\bhf_[A-Za-z0-9]{30,}/g },
+  { kind: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})/g },
+  { kind: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { kind: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { kind: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { kind: 'stripe-key', pattern: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}/g },
+  { kind: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { kind: 'url-credentials', pattern: /(?<=\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s@/]+(?=@)/gi },
+  { kind: 'bearer-token', pattern: /(?<=\bBearer\s+)[A-Za-z0-9._~+/-]{16,}=*/g },
+  {
+    kind: 'secret',
+    pattern: /(?<=\b(?:api[_-]?key|secret(?:[_-]?key)?|access[_-]?token|auth[_-]?token|token|password|passwd|pwd)["']?\s*[:=]\s*["']?)(?!\[REDACTED)[^\s"'`,;]{6,}/gi
+  }
+];
+
+/**
+ * Replace secrets in a string
+ * @returns {{text: string, count: number, kinds: Object<string, number>}}
+ */
+function redactSecrets(text) {
+  const kinds = {};
+  let count = 0;
+  let result = String(text);
+
+  for (const { kind, pattern } of SECRET_PATTERNS) {
+    result = result.replace(pattern, () => {
+      kinds[kind] = (kinds[kind] || 0) + 1;
+      count++;
+      return `[REDACTED:${kind}]`;
+    });
+  }
+
+  return { text: result, count, kinds };
+}
+
+/**
+ * Redact every string in a value, recursing into arrays and objects
+ * @returns {{value: *, count: number}}
+ */
+function redactValue(value) {
+  if (typeof value === 'string') {
+    const { text, count } = redactSecrets(value);
+    return { value: text, count };
+  }
+
+  if (value && typeof value === 'object') {
+    let count = 0;
+    const entries = Object.entries(value).map(([key, item]) => {
+      const redacted = redactValue(item);
+      count += redacted.count;
+      return [key, redacted.value];
+    });
+    return {
+      value: Array.isArray(value) ? entries.map(([, item]) => item) : Object.fromEntries(entries),
+      count
+    };
+  }
+
+  return { value, count: 0 };
+}
+
+module.exports = {
+  SECRET_PATTERNS,
+  redactSecrets,
+  redactValue
+};
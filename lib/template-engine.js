@@ -0,0 +1,465 @@
+/**
+ * Template Engine
+ * A small logic-less template language for user template files.
+ * Templates can only read the data they are given: there are no function
+ * calls, and lookups only see the data's own properties.
+ *
+ *   {{input}}                       the prompt being enhanced
+ *   {{audience}} {{user.name}}      variables (--var audience=...)
+ *   {{#if tests}}...{{else}}...{{/if}}
+ *   {{#if level == "expert"}}...{{/if}}    also !=, and {{#unless}}
+ *   {{#each steps}}{{@number}}. {{this}}{{else}}none{{/each}}
+ *   {{> checklist}}                 partial, resolved by the caller
+ *   {{#block steps}}...{{/block}}   section a template that extends this one can
+ *                                   replace; {{super}} inside it is the original
+ *   {{! comment }}
+ *   \{{                             a literal {{
+ *
+ * Block tags, comments and partials alone on a line leave no blank line.
+ */
+
+const MAX_PARTIAL_DEPTH = 10;
+
+const PATH = /^(?:this|@?[A-Za-z_][\w-]*)(?:\.[A-Za-z_][\w-]*)*$/;
+const LITERAL = /^(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)|(true|false|null))$/;
+const LOOP_VARIABLES = ['@index', '@number', '@first', '@last'];
+
+/**
+ * A template syntax error, with the line it was found on
+ */
+class TemplateSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = 'TemplateSyntaxError';
+    this.reason = message;
+    this.line = line;
+  }
+}
+
+/**
+ * Split a template into text and tag tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\\\{\{|\{\{([\s\S]*?)\}\}/g;
+  let line = 1;
+  let last = 0;
+  let text = '';
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    text += source.slice(last, match.index);
+    last = pattern.lastIndex;
+
+    // \{{ is a literal {{
+    if (match[0] === '\\{{') {
+      text += '{{';
+      continue;
+    }
+
+    if (text) tokens.push({ type: 'text', value: text, line });
+    line += countLines(text);
+    text = '';
+
+    tokens.push({ type: 'tag', ...classifyTag(match[1].trim(), line), line });
+    line += countLines(match[0]);
+  }
+
+  const rest = source.slice(last);
+  const open = rest.indexOf('{{');
+  if (open !== -1) {
+    throw new TemplateSyntaxError('Unclosed tag, expected "}}"', line + countLines(text + rest.slice(0, open)));
+  }
+  text += rest;
+  if (text) tokens.push({ type: 'text', value: text, line });
+
+  return stripStandaloneTags(tokens);
+}
+
+function countLines(text) {
+  return (text.match(/\n/g) || []).length;
+}
+
+/**
+ * Work out what a tag does from its contents
+ */
+function classifyTag(content, line) {
+  if (content.startsWith('!')) return { kind: 'comment' };
+  if (content.startsWith('>')) {
+    const name = content.slice(1).trim();
+    if (!/^[\w-]+(?:\/[\w-]+)*$/.test(name)) {
+      throw new TemplateSyntaxError(`Invalid partial name "${name}"`, line);
+    }
+    return { kind: 'partial', name };
+  }
+  if (content.startsWith('#')) {
+    const [, helper, args = ''] = content.match(/^#(\S*)\s*([\s\S]*)$/);
+    if (helper === 'block') {
+      if (!/^[\w-]+$/.test(args.trim())) {
+        throw new TemplateSyntaxError(`Invalid block name "${args.trim()}"`, line);
+      }
+      return { kind: 'open', helper, name: args.trim() };
+    }
+    if (!['if', 'unless', 'each'].includes(helper)) {
+      throw new TemplateSyntaxError(`Unknown block "{{#${helper}}}". Use #if, #unless, #each or #block`, line);
+    }
+    return { kind: 'open', helper, expression: parseExpression(args.trim(), helper, line) };
+  }
+  if (content.startsWith('/')) return { kind: 'close', helper: content.slice(1).trim() };
+  if (content === 'else') return { kind: 'else' };
+  if (content === 'super') return { kind: 'super' };
+
+  if (!PATH.test(content)) {
+    throw new TemplateSyntaxError(`Invalid expression "{{${content}}}"`, line);
+  }
+  return { kind: 'variable', path: content };
+}
+
+/**
+ * Parse a block's argument: a path, or for #if/#unless a comparison
+ */
+function parseExpression(text, helper, line) {
+  if (!text) {
+    throw new TemplateSyntaxError(`{{#${helper}}} needs a variable`, line);
+  }
+
+  const comparison = text.match(/^(\S+)\s*(==|!=)\s*(.+)$/);
+  if (comparison && helper !== 'each') {
+    const [, path, operator, literal] = comparison;
+    const value = LITERAL.exec(literal.trim());
+    if (!PATH.test(path) || !value) {
+      throw new TemplateSyntaxError(`Invalid condition "${text}". Compare a variable with a "string", number, true, false or null`, line);
+    }
+    return { path, operator, value: parseLiteral(value) };
+  }
+
+  if (!PATH.test(text)) {
+    throw new TemplateSyntaxError(`Invalid ${helper === 'each' ? 'list' : 'condition'} "${text}"`, line);
+  }
+  return { path: text };
+}
+
+function parseLiteral([, double, single, number, keyword]) {
+  if (double !== undefined) return double.replace(/\\(.)/g, '$1');
+  if (single !== undefined) return single.replace(/\\(.)/g, '$1');
+  if (number !== undefined) return Number(number);
+  return { true: true, false: false, null: null }[keyword];
+}
+
+/**
+ * Remove the line around block tags, comments and partials that stand alone,
+ * so they don't leave blank lines in the output
+ */
+function stripStandaloneTags(tokens) {
+  const standalone = ['open', 'close', 'else', 'comment', 'partial', 'super'];
+
+  // Decide first, then strip, so consecutive standalone lines all qualify
+  const alone = tokens.map((token, index) => {
+    if (token.type !== 'tag' || !standalone.includes(token.kind)) return false;
+
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    const lineStart = !before ||
+      (before.type === 'text' && (/\n[ \t]*$/.test(before.value) || (index === 1 && /^[ \t]*$/.test(before.value))));
+    const lineEnd = !after || (after.type === 'text' && /^[ \t]*(\r?\n|$)/.test(after.value));
+    return lineStart && lineEnd;
+  });
+
+  alone.forEach((isAlone, index) => {
+    if (!isAlone) return;
+    tokens[index].standalone = true;
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    if (before) before.value = before.value.replace(/[ \t]*$/, '');
+    if (after) after.value = after.value.replace(/^[ \t]*(\r?\n)?/, '');
+  });
+
+  return tokens.filter(token => token.type !== 'text' || token.value);
+}
+
+/**
+ * Parse a template into a tree of nodes
+ * @throws {TemplateSyntaxError} On malformed tags or unbalanced blocks
+ */
+function parseTemplate(source) {
+  const root = [];
+  // Open blocks, each with the branch (body or {{else}}) being filled
+  const stack = [];
+  const current = () => (stack.length > 0 ? stack[stack.length - 1].branch : root);
+  const blockNames = new Set();
+
+  for (const token of tokenize(String(source))) {
+    if (token.type === 'text') {
+      current().push({ type: 'text', value: token.value, line: token.line });
+      continue;
+    }
+
+    switch (token.kind) {
+      case 'comment':
+        break;
+      case 'variable':
+        current().push({ type: 'variable', path: token.path, line: token.line });
+        break;
+      case 'partial':
+        current().push({ type: 'partial', name: token.name, standalone: token.standalone, line: token.line });
+        break;
+      case 'super':
+        if (!stack.some(open => open.node.type === 'block')) {
+          throw new TemplateSyntaxError('{{super}} outside a {{#block}}', token.line);
+        }
+        current().push({ type: 'super', standalone: token.standalone, line: token.line });
+        break;
+      case 'open': {
+        if (token.helper === 'block') {
+          if (blockNames.has(token.name)) {
+            throw new TemplateSyntaxError(`Block "${token.name}" is defined twice`, token.line);
+          }
+          blockNames.add(token.name);
+        }
+        const node = token.helper === 'block'
+          ? { type: 'block', name: token.name, children: [], otherwise: [], line: token.line }
+          : { type: token.helper, expression: token.expression, children: [], otherwise: [], line: token.line };
+        current().push(node);
+        stack.push({ node, branch: node.children });
+        break;
+      }
+      case 'else': {
+        const open = stack[stack.length - 1];
+        if (!open) {
+          throw new TemplateSyntaxError('{{else}} outside a block', token.line);
+        }
+        if (open.node.type === 'block') {
+          throw new TemplateSyntaxError('{{else}} can\'t be used in {{#block}}', token.line);
+        }
+        if (open.branch === open.node.otherwise) {
+          throw new TemplateSyntaxError(`Second {{else}} in {{#${open.node.type}}}`, token.line);
+        }
+        open.branch = open.node.otherwise;
+        break;
+      }
+      case 'close': {
+        const open = stack.pop();
+        if (!open) {
+          throw new TemplateSyntaxError(`{{/${token.helper}}} without a matching {{#${token.helper}}}`, token.line);
+        }
+        if (open.node.type !== token.helper) {
+          throw new TemplateSyntaxError(`{{/${token.helper}}} closes {{#${open.node.type}}} from line ${open.node.line}`, token.line);
+        }
+        break;
+      }
+    }
+  }
+
+  if (stack.length > 0) {
+    const { node } = stack[stack.length - 1];
+    throw new TemplateSyntaxError(`{{#${node.type}}} is never closed`, node.line);
+  }
+  return root;
+}
+
+/**
+ * Look up a path in the scope chain, innermost scope first
+ * Only own properties are visible, so templates can't reach prototypes
+ */
+function resolvePath(path, scopes) {
+  const [head, ...rest] = path.split('.');
+  const frame = scopes[scopes.length - 1];
+
+  let value;
+  if (head === 'this') {
+    value = frame.value;
+  } else if (head.startsWith('@')) {
+    value = frame.loop ? frame.loop[head] : undefined;
+  } else {
+    const owner = [...scopes].reverse().find(scope => isRecord(scope.value) && Object.prototype.hasOwnProperty.call(scope.value, head));
+    value = owner ? owner.value[head] : undefined;
+  }
+
+  for (const key of rest) {
+    if (!isRecord(value) || !Object.prototype.hasOwnProperty.call(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function evaluate(expression, scopes) {
+  const value = resolvePath(expression.path, scopes);
+  if (!expression.operator) return isTruthy(value);
+
+  // Variables from --var are strings, so compare numbers and flags by text too
+  const equal = value === expression.value || (value != null && expression.value != null && String(value) === String(expression.value));
+  return expression.operator === '==' ? equal : !equal;
+}
+
+/**
+ * Included text on a line of its own keeps that line's break
+ */
+function endLine(text, node) {
+  return node.standalone && text && !text.endsWith('\n') ? `${text}\n` : text;
+}
+
+function renderNodes(nodes, scopes, options, depth) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'variable':
+        output += toText(resolvePath(node.path, scopes));
+        break;
+      case 'if':
+      case 'unless': {
+        const truthy = evaluate(node.expression, scopes);
+        const branch = (node.type === 'if' ? truthy : !truthy) ? node.children : node.otherwise;
+        output += renderNodes(branch, scopes, options, depth);
+        break;
+      }
+      case 'each': {
+        const value = resolvePath(node.expression.path, scopes);
+        const items = Array.isArray(value)
+          ? value
+          : isRecord(value) ? Object.values(value) : (isTruthy(value) ? [value] : []);
+
+        if (items.length === 0) {
+          output += renderNodes(node.otherwise, scopes, options, depth);
+          break;
+        }
+        items.forEach((item, index) => {
+          const loop = { '@index': index, '@number': index + 1, '@first': index === 0, '@last': index === items.length - 1 };
+          output += renderNodes(node.children, [...scopes, { value: item, loop }], options, depth);
+        });
+        break;
+      }
+      case 'block': {
+        // Overrides from templates extending this one, most derived first, then the original
+        const versions = [...((options.blocks && options.blocks[node.name]) || []), node.children];
+        output += renderNodes(versions[0], scopes, { ...options, parents: versions.slice(1) }, depth);
+        break;
+      }
+      case 'super': {
+        const [parent, ...rest] = options.parents || [];
+        if (parent) {
+          output += endLine(renderNodes(parent, scopes, { ...options, parents: rest }, depth), node);
+        }
+        break;
+      }
+      case 'partial': {
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          throw new TemplateSyntaxError(`Partials nested more than ${MAX_PARTIAL_DEPTH} deep (does "${node.name}" include itself?)`, node.line);
+        }
+        const source = options.partials ? options.partials(node.name) : null;
+        if (source === null || source === undefined) {
+          throw new TemplateSyntaxError(`Partial "${node.name}" not found`, node.line);
+        }
+        let partial;
+        try {
+          partial = parseTemplate(source);
+        } catch (error) {
+          throw new TemplateSyntaxError(`In partial "${node.name}": ${error.message}`, node.line);
+        }
+        output += endLine(renderNodes(partial, scopes, options, depth + 1), node);
+        break;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template with data
+ * @param {string|Array} template - Template source, or nodes from parseTemplate
+ * @param {Object} data - Values the template can read
+ * @param {Object} options - { partials: (name) => source or null,
+ *   blocks: { name: [nodes overriding the block, most derived first] } }
+ * @returns {string}
+ */
+function renderTemplate(template, data = {}, options = {}) {
+  const nodes = typeof template === 'string' ? parseTemplate(template) : template;
+  return renderNodes(nodes, [{ value: data }], options, 0);
+}
+
+/**
+ * Names a template reads: variables, block arguments and partials
+ * Loop variables and paths inside #each blocks are resolved per item, so
+ * only top-level names are reported as variables
+ * @returns {{variables: Set<string>, partials: Set<string>}}
+ */
+function collectReferences(nodes, found = { variables: new Set(), partials: new Set() }, inLoop = false) {
+  for (const node of nodes) {
+    if (node.type === 'partial') {
+      found.partials.add(node.name);
+      continue;
+    }
+
+    const path = node.type === 'variable' ? node.path : node.expression?.path;
+    if (path && !inLoop && path !== 'this' && !LOOP_VARIABLES.some(name => path.startsWith(name))) {
+      found.variables.add(path.split('.')[0]);
+    }
+    if (node.children) {
+      collectReferences(node.children, found, inLoop || node.type === 'each');
+      collectReferences(node.otherwise, found, inLoop);
+    }
+  }
+  return found;
+}
+
+/**
+ * Names of every {{#block}} in a template, nested ones included
+ * @returns {Set<string>}
+ */
+function collectBlockNames(nodes, found = new Set()) {
+  for (const node of nodes) {
+    if (node.type === 'block') found.add(node.name);
+    if (node.children) {
+      collectBlockNames(node.children, found);
+      collectBlockNames(node.otherwise, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * The blocks of a template that extends another, which may contain only
+ * {{#block}} sections (and comments or blank lines between them)
+ * @returns {Map<string, Array>} Block name to its nodes
+ * @throws {TemplateSyntaxError} On content outside a block
+ */
+function splitBlocks(nodes) {
+  const blocks = new Map();
+  for (const node of nodes) {
+    if (node.type === 'block') {
+      blocks.set(node.name, node.children);
+    } else if (node.type !== 'text' || node.value.trim()) {
+      const line = node.type === 'text' ? node.line + countLines(node.value.slice(0, node.value.search(/\S/))) : node.line;
+      throw new TemplateSyntaxError('A template that extends another can only contain {{#block}} sections', line);
+    }
+  }
+  return blocks;
+}
+
+module.exports = {
+  TemplateSyntaxError,
+  parseTemplate,
+  renderTemplate,
+  collectReferences,
+  collectBlockNames,
+  splitBlocks
+};
@@ -0,0 +1,508 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const YAML = require('yaml');
+const { TemplateSyntaxError, parseTemplate, renderTemplate, collectBlockNames, splitBlocks } = require('./template-engine');
+const { getProject } = require('./project');
+
+/**
+ * Template Library
+ * Loads enhancement modes from template files, so modes can be written
+ * without JavaScript. A template is Markdown (or text) with YAML front matter:
+ *
+ *   ---
+ *   name: Code Review
+ *   description: Ask for a structured code review
+ *   variables:
+ *     language: { description: Language of the code, default: JavaScript }
+ *     focus: { type: list, description: Areas to focus on }
+ *   ---
+ *   Review this {{language}} code: {{input}}
+ *
+ * or a YAML file with the same fields plus `template`. The file name is the
+ * mode name. Templates are loaded from:
+ *   - the templates/ directory bundled with the CLI
+ *   - ~/.config/claude-enhancer/templates
+ *   - the project's .enhance/templates
+ *   - directories listed in CLAUDE_ENHANCER_TEMPLATE_PATH
+ * Later directories override earlier ones. Partials ({{> name}}) are read
+ * from a partials/ directory next to the template, then in each template
+ * directory, most specific first.
+ *
+ * A template with `extends: base` reuses base's text and replaces only the
+ * {{#block}} sections it defines. `base` is a template name, found like a
+ * mode (the same directory first), or a path relative to the template.
+ *
+ * The built-in modes share sections through the bundled partials too,
+ * with renderBundledPartial.
+ */
+
+const BUNDLED_DIR = path.join(__dirname, '..', 'templates');
+const TEMPLATE_EXTENSIONS = ['.md', '.txt', '.yaml', '.yml'];
+const PARTIAL_EXTENSIONS = ['.md', '.txt'];
+const VARIABLE_TYPES = ['string', 'list', 'boolean', 'number'];
+const TEMPLATE_FIELDS = ['name', 'description', 'variables', 'extends', 'template'];
+
+/**
+ * Split YAML front matter from a template body
+ * @returns {{data: Object, body: string, offset: number}} offset: lines before the body
+ */
+function parseFrontMatter(content) {
+  const match = content.replace(/^\uFEFF/, '').match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { data: {}, body: content, offset: 0 };
+  }
+
+  const data = YAML.parse(match[1]) || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Front matter must be a YAML mapping');
+  }
+  return { data, body: content.slice(match[0].length), offset: (match[0].match(/\n/g) || []).length };
+}
+
+/**
+ * Read a template file's fields and body
+ * @returns {{key: string, file: string, data: Object, body: string, offset: number}}
+ */
+function readTemplateFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+  const key = path.basename(file, path.extname(file));
+
+  if (extension === '.yaml' || extension === '.yml') {
+    const data = YAML.parse(content) || {};
+    if (typeof data.template !== 'string') {
+      throw new Error('YAML templates need a "template" field with the template text');
+    }
+    // Block scalars start on the line after the key
+    const lines = content.split('\n');
+    const keyLine = lines.findIndex(line => /^template:/.test(line));
+    const offset = keyLine === -1 ? 0 : keyLine + (/^template:\s*[|>]/.test(lines[keyLine]) ? 1 : 0);
+    return { key, file, data, body: data.template, offset };
+  }
+
+  return { key, file, ...parseFrontMatter(content) };
+}
+
+/**
+ * Normalize the `variables` declared in a template
+ * A variable can be a mapping ({ description, default, required, type })
+ * or just a description string
+ */
+function normalizeVariables(declared) {
+  if (declared === undefined || declared === null) return null;
+  if (typeof declared !== 'object' || Array.isArray(declared)) {
+    throw new Error('"variables" must map variable names to their settings');
+  }
+
+  return Object.fromEntries(Object.entries(declared).map(([name, spec]) => {
+    const settings = typeof spec === 'string' ? { description: spec } : (spec || {});
+    const type = settings.type || (Array.isArray(settings.default) ? 'list' : 'string');
+    if (!VARIABLE_TYPES.includes(type)) {
+      throw new Error(`Variable "${name}" has unknown type "${type}". Use one of: ${VARIABLE_TYPES.join(', ')}`);
+    }
+    return [name, {
+      description: settings.description || '',
+      type,
+      required: Boolean(settings.required),
+      default: settings.default
+    }];
+  }));
+}
+
+/**
+ * Convert a --var value to a variable's declared type
+ */
+function coerceVariable(name, value, type) {
+  switch (type) {
+    case 'list':
+      if (Array.isArray(value)) return value;
+      return String(value).split(',').map(item => item.trim()).filter(Boolean);
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (/^(true|yes|1|on)$/i.test(value)) return true;
+      if (/^(false|no|0|off)$/i.test(value)) return false;
+      throw new Error(`Variable "${name}" must be true or false, got "${value}"`);
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) {
+        throw new Error(`Variable "${name}" must be a number, got "${value}"`);
+      }
+      return number;
+    }
+    default:
+      return Array.isArray(value) ? value.join(', ') : value;
+  }
+}
+
+/**
+ * Parse --var key=value options into variables
+ * A key repeated builds a list; a key without a value is true
+ * @param {Array<string>} pairs
+ * @returns {Object}
+ */
+function parseVariables(pairs = []) {
+  const variables = {};
+
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    const name = (separator === -1 ? pair : pair.slice(0, separator)).trim();
+    const value = separator === -1 ? true : pair.slice(separator + 1);
+
+    if (!/^[A-Za-z_][\w-]*$/.test(name)) {
+      const error = new Error(`Invalid --var "${pair}". Use --var name=value`);
+      error.code = 'ETEMPLATE';
+      throw error;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(variables, name)) {
+      variables[name] = [].concat(variables[name], value);
+    } else {
+      variables[name] = value;
+    }
+  }
+
+  return variables;
+}
+
+/**
+ * Error from a template file, named after the file
+ * Marked with code ETEMPLATE so the CLI can report it as a template problem
+ */
+function templateError(file, error, offset = 0) {
+  // Count lines from the top of the file, not the start of the body
+  if (error instanceof TemplateSyntaxError && error.line && offset) {
+    error = new TemplateSyntaxError(error.reason, error.line + offset);
+  }
+  const wrapped = new Error(`${path.basename(file)}: ${error.message}`);
+  wrapped.code = 'ETEMPLATE';
+  return wrapped;
+}
+
+class TemplateLibrary {
+  constructor(options = {}) {
+    this.templateDir = options.templateDir || path.join(os.homedir(), '.config', 'claude-enhancer', 'templates');
+    this.projectDir = options.projectDir !== undefined ? options.projectDir : (getProject()?.templates || null);
+    this.modes = null;
+    this.errors = [];
+  }
+
+  /**
+   * Directories to load templates from, lowest precedence first
+   * @returns {Array<{dir: string, source: 'bundled'|'user'|'project'|'path'}>}
+   */
+  getDirectories() {
+    const extraPaths = (process.env.CLAUDE_ENHANCER_TEMPLATE_PATH || '')
+      .split(path.delimiter)
+      .filter(Boolean);
+
+    return [
+      { dir: BUNDLED_DIR, source: 'bundled' },
+      { dir: this.templateDir, source: 'user' },
+      ...(this.projectDir ? [{ dir: this.projectDir, source: 'project' }] : []),
+      ...extraPaths.map(dir => ({ dir, source: 'path' }))
+    ].map(({ dir, source }) => ({ dir: path.resolve(dir), source }));
+  }
+
+  /**
+   * Directory new templates are saved to: the project's, else the user's
+   */
+  getSaveDirectory() {
+    return this.projectDir || this.templateDir;
+  }
+
+  /**
+   * Load every template once
+   * Templates that fail to load, or reuse a reserved mode name, are recorded in `errors`
+   * @param {Array<string>} reserved - Mode names templates can't take
+   * @returns {Object} Modes keyed by name
+   */
+  load(reserved = []) {
+    if (this.modes) return this.modes;
+    this.modes = {};
+
+    for (const { dir, source } of this.getDirectories()) {
+      let entries = [];
+      try {
+        entries = fs.readdirSync(dir).sort();
+      } catch (error) {
+        continue;
+      }
+
+      for (const entry of entries) {
+        const file = path.join(dir, entry);
+        if (!TEMPLATE_EXTENSIONS.includes(path.extname(entry).toLowerCase()) || !this.isFile(file)) continue;
+
+        try {
+          const mode = { ...this.loadFile(file), source };
+          if (!/^[\w-]+$/.test(mode.key)) {
+            throw templateError(file, new Error('File names become mode names; use only letters, numbers, - and _'));
+          }
+          if (reserved.includes(mode.key)) {
+            throw templateError(file, new Error(`Mode "${mode.key}" already exists; rename the file`));
+          }
+          // Keep track of what a more specific template replaced
+          const replaced = this.modes[mode.key];
+          if (replaced) {
+            mode.overrides = [...(replaced.overrides || []), { file: replaced.file, source: replaced.source }];
+          }
+          this.modes[mode.key] = mode;
+        } catch (error) {
+          this.errors.push({ file, error: error.message });
+        }
+      }
+    }
+
+    return this.modes;
+  }
+
+  /**
+   * Load one template file as an enhancement mode
+   * @throws {Error} When the file can't be read or the template is invalid
+   */
+  loadFile(file) {
+    const resolved = path.resolve(file);
+    try {
+      return this.compile(resolved);
+    } catch (error) {
+      throw error.code === 'ETEMPLATE' ? error : templateError(resolved, error);
+    }
+  }
+
+  /**
+   * Build the mode for a template file
+   */
+  compile(resolved) {
+    const layout = this.readLayout(resolved);
+    const { key, data } = layout;
+    // Lines of errors while rendering a base can't be mapped to one file
+    const offset = layout.chain.length === 1 ? layout.offset : 0;
+
+    const partialDirs = this.getPartialDirs(resolved);
+    const partials = (name) => this.readPartial(name, partialDirs);
+
+    return {
+      key,
+      name: data.name || key,
+      description: data.description || `Template from ${path.basename(resolved)}`,
+      file: resolved,
+      variables: layout.variables,
+      ...(layout.chain.length > 1 ? { extends: layout.chain.slice(1) } : {}),
+      enhance: (input, context) => {
+        try {
+          const values = this.resolveVariables(key, layout.variables, (context && context.variables) || {});
+          return renderTemplate(layout.nodes, { ...values, input }, { partials, blocks: layout.blocks }).trim();
+        } catch (error) {
+          throw templateError(resolved, error, offset);
+        }
+      }
+    };
+  }
+
+  /**
+   * Read a template and the templates it extends
+   * @param {string} resolved - Absolute path of the template
+   * @param {Array<string>} seen - Templates extending this one, to catch cycles
+   * @returns {Object} { key, data, offset, variables, nodes, blocks, blockNames, chain }
+   *   nodes are the base template's; blocks map names to overrides, most derived first;
+   *   chain lists the files from this one to the base
+   * @throws {Error} With code ETEMPLATE, naming the file at fault
+   */
+  readLayout(resolved, seen = []) {
+    try {
+      return this.readLayoutFile(resolved, seen);
+    } catch (error) {
+      throw error.code === 'ETEMPLATE' ? error : templateError(resolved, error);
+    }
+  }
+
+  readLayoutFile(resolved, seen) {
+    const { key, data, body, offset } = readTemplateFile(resolved);
+
+    const unknown = Object.keys(data).filter(field => !TEMPLATE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown field${unknown.length === 1 ? '' : 's'} ${unknown.map(field => `"${field}"`).join(', ')}. Use: ${TEMPLATE_FIELDS.join(', ')}`);
+    }
+
+    let nodes;
+    try {
+      nodes = parseTemplate(body);
+    } catch (error) {
+      throw templateError(resolved, error, offset);
+    }
+    const variables = normalizeVariables(data.variables);
+
+    if (data.extends === undefined || data.extends === null) {
+      return { key, data, offset, variables, nodes, blocks: {}, blockNames: collectBlockNames(nodes), chain: [resolved] };
+    }
+
+    if (typeof data.extends !== 'string' || !data.extends.trim()) {
+      throw new Error('"extends" must name the template to extend');
+    }
+    let overrides;
+    try {
+      overrides = splitBlocks(nodes);
+    } catch (error) {
+      throw templateError(resolved, error, offset);
+    }
+
+    const baseFile = this.resolveBase(data.extends.trim(), resolved);
+    const chain = [...seen, resolved];
+    if (chain.includes(baseFile)) {
+      throw new Error(`Inheritance cycle: ${[...chain.slice(chain.indexOf(baseFile)), baseFile].map(file => path.basename(file)).join(' → ')}`);
+    }
+
+    let base;
+    try {
+      base = this.readLayout(baseFile, chain);
+    } catch (error) {
+      throw new Error(`Can't extend "${data.extends}": ${error.message}`);
+    }
+
+    const blocks = { ...base.blocks };
+    const blockNames = new Set(base.blockNames);
+    for (const [name, children] of overrides) {
+      if (!base.blockNames.has(name)) {
+        const available = [...base.blockNames];
+        throw new Error(`Block "${name}" is not in "${data.extends}"${available.length ? `. Blocks: ${available.join(', ')}` : ' (it has no {{#block}} sections)'}`);
+      }
+      blocks[name] = [children, ...(blocks[name] || [])];
+      collectBlockNames(children, blockNames);
+    }
+
+    return {
+      key,
+      data,
+      offset,
+      // Variables declared here add to or replace the base's
+      variables: variables || base.variables ? { ...base.variables, ...variables } : null,
+      nodes: base.nodes,
+      blocks,
+      blockNames,
+      chain: [resolved, ...base.chain]
+    };
+  }
+
+  /**
+   * Find the file an `extends` value names
+   * A name is looked up next to the template, then in the template directories,
+   * most specific first, skipping the template itself so it can extend the
+   * template it overrides
+   */
+  resolveBase(name, from) {
+    if (/[\\/]/.test(name) || TEMPLATE_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+      const file = path.resolve(path.dirname(from), name);
+      if (!this.isFile(file)) {
+        throw new Error(`Base template ${name} not found`);
+      }
+      return file;
+    }
+
+    const dirs = [path.dirname(from), ...this.getDirectories().reverse().map(({ dir }) => dir)];
+    for (const dir of dirs) {
+      for (const extension of TEMPLATE_EXTENSIONS) {
+        const file = path.join(dir, `${name}${extension}`);
+        if (file !== from && this.isFile(file)) return file;
+      }
+    }
+    throw new Error(`Base template "${name}" not found in the template directories`);
+  }
+
+  /**
+   * Combine --var values with a template's declared defaults
+   * Templates that declare variables reject undeclared ones and require `required` ones
+   */
+  resolveVariables(key, declared, given) {
+    if (!declared) return given;
+
+    const unknown = Object.keys(given).filter(name => !(name in declared));
+    if (unknown.length > 0) {
+      const names = Object.keys(declared);
+      throw new Error(`Template "${key}" has no variable "${unknown[0]}"${names.length ? `. Variables: ${names.join(', ')}` : ''}`);
+    }
+
+    const values = {};
+    for (const [name, settings] of Object.entries(declared)) {
+      if (name in given) {
+        values[name] = coerceVariable(name, given[name], settings.type);
+      } else if (settings.default !== undefined) {
+        values[name] = settings.default;
+      } else if (settings.required) {
+        throw new Error(`Template "${key}" needs --var ${name}=...${settings.description ? ` (${settings.description})` : ''}`);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Directories a template's partials are read from, nearest first:
+   * next to the template, then the most specific template directory
+   */
+  getPartialDirs(resolved) {
+    return [
+      path.join(path.dirname(resolved), 'partials'),
+      ...this.getDirectories().reverse().map(({ dir }) => path.join(dir, 'partials'))
+    ];
+  }
+
+  /**
+   * Find a partial's source in the partial directories
+   * @returns {string|null}
+   */
+  readPartial(name, dirs) {
+    for (const dir of dirs) {
+      for (const extension of PARTIAL_EXTENSIONS) {
+        const file = path.join(dir, `${name}${extension}`);
+        if (this.isFile(file)) {
+          return parseFrontMatter(fs.readFileSync(file, 'utf8')).body.replace(/\r?\n$/, '');
+        }
+      }
+    }
+    return null;
+  }
+
+  isFile(file) {
+    try {
+      return fs.statSync(file).isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getTemplateLibrary() {
+  if (!instance) {
+    instance = new TemplateLibrary();
+  }
+  return instance;
+}
+
+/**
+ * Render a partial bundled with the CLI, for the built-in modes
+ * User and project partials with the same name don't apply, so built-in
+ * modes read the same everywhere.
+ * @param {string} name - Partial in templates/partials/
+ * @param {Object} values - Variables the partial reads
+ * @returns {string}
+ */
+function renderBundledPartial(name, values = {}) {
+  const library = getTemplateLibrary();
+  const dirs = [path.join(BUNDLED_DIR, 'partials')];
+  const source = library.readPartial(name, dirs);
+  if (source === null) {
+    throw new Error(`Bundled partial "${name}" not found`);
+  }
+  return renderTemplate(source, values, { partials: (partial) => library.readPartial(partial, dirs) });
+}
+
+module.exports = {
+  TemplateLibrary,
+  getTemplateLibrary,
+  renderBundledPartial,
+  parseFrontMatter,
+  parseVariables,
+  TEMPLATE_EXTENSIONS
+};
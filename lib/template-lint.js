@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { parseTemplate, collectReferences } = require('./template-engine');
+const { getTemplateLibrary, TEMPLATE_EXTENSIONS } = require('./template-library');
+const { modeAliases, deprecatedModes, getModeLayers, getAllTemplates } = require('./template-utils');
+
+/**
+ * Template Lint
+ * Static checks for enhancement modes, run by `enhance templates lint`.
+ * Each finding names the rule that produced it:
+ *
+ *   load              a template file can't be loaded, or is skipped
+ *   unknown-variable  a template reads a variable it doesn't declare
+ *   unused-variable   a template declares a variable it never reads
+ *   render            a mode throws when rendered with a sample prompt
+ *   unbalanced-tag    <tag> without </tag>, or the reverse, in the rendered prompt
+ *   empty-section     a heading or "Label:" with nothing under it once rendered
+ *   shadowed-mode     a mode name defined twice; the later definition wins
+ *   alias             modeAliases/deprecatedModes entries that don't resolve as they say
+ */
+
+const SAMPLE_INPUT = 'Write a function that parses a CSV file and reports invalid rows';
+
+// Values for required variables when rendering a template
+const SAMPLE_VALUES = { string: 'sample', list: ['sample'], boolean: true, number: 1 };
+
+const TAG = /<(\/?)([A-Za-z][\w.-]*)(?:\s[^<>]*?)?(\/?)>/g;
+const HEADING = /^(#{1,6})\s+\S/;
+const LABEL = /^(\s*)[A-Z][^:]{0,60}:\s*$/;
+
+function finding(severity, rule, mode, message, file = null) {
+  return { severity, rule, mode, file, message };
+}
+
+/**
+ * Check that XML-style tags in rendered text open and close in order
+ * @returns {Array<string>} Problems found
+ */
+function checkTags(text) {
+  const problems = [];
+  const open = [];
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(text)) !== null) {
+    const [, closing, name, selfClosing] = match;
+    const line = text.slice(0, match.index).split('\n').length;
+    if (selfClosing) continue;
+
+    if (!closing) {
+      open.push({ name, line });
+      continue;
+    }
+
+    const index = open.map(tag => tag.name).lastIndexOf(name);
+    if (index === -1) {
+      problems.push(`</${name}> on output line ${line} has no matching <${name}>`);
+      continue;
+    }
+    // Tags opened inside this one were never closed
+    for (const tag of open.splice(index).slice(1)) {
+      problems.push(`<${tag.name}> on output line ${tag.line} is closed by </${name}> on output line ${line} before its own </${tag.name}>`);
+    }
+  }
+
+  for (const tag of open) {
+    problems.push(`<${tag.name}> on output line ${tag.line} is never closed`);
+  }
+  return problems;
+}
+
+/**
+ * Find headings and "Label:" lines with no content before the next one
+ * Markdown headings end at a heading of the same or a higher level; labels
+ * end at a heading or a label indented no deeper. Numbered items and list
+ * entries are content, not labels.
+ * @returns {Array<string>} Problems found
+ */
+function checkSections(text) {
+  const lines = text.split('\n');
+  const problems = [];
+
+  const sectionAt = (line) => {
+    const heading = line.match(HEADING);
+    if (heading) return { heading: true, level: heading[1].length };
+    const label = line.match(LABEL);
+    if (label) return { heading: false, indent: label[1].length };
+    return null;
+  };
+
+  lines.forEach((line, index) => {
+    const section = sectionAt(line);
+    if (!section) return;
+
+    for (const next of lines.slice(index + 1)) {
+      if (!next.trim()) continue;
+      const nextSection = sectionAt(next);
+      const ends = nextSection && (section.heading
+        ? nextSection.heading && nextSection.level <= section.level
+        : nextSection.heading || nextSection.indent <= section.indent);
+      if (!ends) return;
+      break;
+    }
+    problems.push(`"${line.trim()}" on output line ${index + 1} is empty`);
+  });
+
+  return problems;
+}
+
+/**
+ * Render a mode with a sample prompt and check the result
+ */
+function lintMode(key, mode, file = null) {
+  const variables = Object.fromEntries(Object.entries(mode.variables || {})
+    .filter(([, settings]) => settings.required)
+    .map(([name, settings]) => [name, SAMPLE_VALUES[settings.type]]));
+
+  let text;
+  try {
+    text = mode.enhance(SAMPLE_INPUT, { variables });
+  } catch (error) {
+    return [finding('error', 'render', key, `Fails to render: ${error.message}`, file)];
+  }
+  if (typeof text !== 'string') {
+    return [finding('error', 'render', key, `enhance() returned ${typeof text}, not text`, file)];
+  }
+
+  return [
+    ...checkTags(text).map(message => finding('error', 'unbalanced-tag', key, message, file)),
+    ...checkSections(text).map(message => finding('warning', 'empty-section', key, message, file))
+  ];
+}
+
+/**
+ * Variables and partials a template reads, through its base templates and partials
+ */
+function collectTemplateReferences(library, file, layout) {
+  const found = collectReferences(layout.nodes);
+  for (const versions of Object.values(layout.blocks)) {
+    versions.forEach(nodes => collectReferences(nodes, found));
+  }
+
+  const dirs = library.getPartialDirs(file);
+  const visited = new Set();
+  for (const name of found.partials) {
+    if (visited.has(name)) continue;
+    visited.add(name);
+
+    const source = library.readPartial(name, dirs);
+    try {
+      // Adding to the set while iterating it visits the new partials too
+      if (source !== null) collectReferences(parseTemplate(source), found);
+    } catch (error) {
+      // Reported when the template is rendered
+    }
+  }
+  return found;
+}
+
+/**
+ * Check a template file: its variables, then its rendered prompt
+ */
+function lintTemplateFile(library, file) {
+  const resolved = path.resolve(file);
+  const key = path.basename(resolved, path.extname(resolved));
+
+  let layout;
+  let mode;
+  try {
+    layout = library.readLayout(resolved);
+    mode = library.loadFile(resolved);
+  } catch (error) {
+    return [finding('error', 'load', key, error.message, resolved)];
+  }
+
+  const findings = [];
+  const { variables } = collectTemplateReferences(library, resolved, layout);
+  if (layout.variables) {
+    for (const name of variables) {
+      if (name !== 'input' && !(name in layout.variables)) {
+        findings.push(finding('error', 'unknown-variable', key, `Uses {{${name}}} but doesn't declare it in "variables"`, resolved));
+      }
+    }
+    for (const name of Object.keys(layout.variables)) {
+      if (!variables.has(name)) {
+        findings.push(finding('warning', 'unused-variable', key, `Declares "${name}" but never uses it`, resolved));
+      }
+    }
+  }
+
+  return [...findings, ...lintMode(key, mode, resolved)];
+}
+
+/**
+ * Check that mode names are defined once and aliases resolve as declared
+ */
+function lintRegistry(layers, modes) {
+  const findings = [];
+
+  // Later groups replace earlier ones in getAllTemplates
+  const definedIn = {};
+  for (const layer of layers) {
+    for (const [key, mode] of Object.entries(layer.modes)) {
+      const previous = definedIn[key];
+      if (previous && previous.mode !== mode) {
+        findings.push(finding('warning', 'shadowed-mode', key,
+          `${layer.name}.${key} (${mode.name}) replaces ${previous.layer}.${key} (${previous.mode.name})`));
+      }
+      definedIn[key] = { layer: layer.name, mode };
+    }
+  }
+
+  // Template files replacing templates with the same name from other directories
+  for (const [key, mode] of Object.entries(modes)) {
+    for (const replaced of mode.overrides || []) {
+      findings.push(finding('warning', 'shadowed-mode', key,
+        `${mode.source} template ${mode.file} replaces ${replaced.source} template ${replaced.file}`, mode.file));
+    }
+  }
+
+  for (const [alias, target] of Object.entries(modeAliases)) {
+    if (!modes[target]) {
+      findings.push(finding('error', 'alias', alias, `modeAliases maps "${alias}" to "${target}", which is not a mode`));
+    } else if (!modes[alias]) {
+      findings.push(finding('error', 'alias', alias, `modeAliases lists "${alias}", but getAllTemplates doesn't register it`));
+    } else if (modes[alias] !== modes[target]) {
+      findings.push(finding('warning', 'alias', alias,
+        `modeAliases maps "${alias}" to "${target}", but "${alias}" runs ${modes[alias].name} and "${target}" runs ${modes[target].name}`));
+    }
+  }
+
+  for (const [deprecated, replacement] of Object.entries(deprecatedModes)) {
+    if (!modes[replacement]) {
+      findings.push(finding('error', 'alias', deprecated, `deprecatedModes points "${deprecated}" to "${replacement}", which is not a mode`));
+    } else if (modes[deprecated] && modes[deprecated] !== modes[replacement]) {
+      findings.push(finding('warning', 'alias', deprecated,
+        `deprecatedModes points "${deprecated}" (${modes[deprecated].name}) to "${replacement}", which runs a different mode (${modes[replacement].name})`));
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Lint every mode getAllTemplates returns, and every template file
+ * @returns {Array<Object>} Findings: { severity, rule, mode, file, message }
+ */
+function lintAll() {
+  const library = getTemplateLibrary();
+  const layers = getModeLayers();
+  const modes = getAllTemplates();
+
+  const findings = lintRegistry(layers, modes);
+
+  // Template files that didn't become modes
+  for (const { file, error } of library.errors) {
+    findings.push(finding('error', 'load', path.basename(file, path.extname(file)), error, file));
+  }
+
+  // Aliases share mode objects, so render each mode once under its first name
+  const linted = new Set();
+  for (const [key, mode] of Object.entries(modes)) {
+    if (linted.has(mode)) continue;
+    linted.add(mode);
+    findings.push(...(mode.file ? lintTemplateFile(library, mode.file) : lintMode(key, mode)));
+  }
+
+  return findings;
+}
+
+/**
+ * Lint a template file, or the template files in a directory
+ * @returns {Array<Object>} Findings
+ */
+function lintPath(target) {
+  const library = getTemplateLibrary();
+  const resolved = path.resolve(target);
+
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`${target} not found`);
+  }
+
+  const files = fs.statSync(resolved).isDirectory()
+    ? fs.readdirSync(resolved).sort()
+      .filter(entry => TEMPLATE_EXTENSIONS.includes(path.extname(entry).toLowerCase()))
+      .map(entry => path.join(resolved, entry))
+      .filter(file => fs.statSync(file).isFile())
+    : [resolved];
+
+  return files.flatMap(file => lintTemplateFile(library, file));
+}
+
+module.exports = {
+  lintAll,
+  lintPath,
+  checkTags,
+  checkSections
+};
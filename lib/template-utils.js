@@ -4,7 +4,10 @@
  */
 
 const { enhancementModes, advancedFrameworks, enhancedModes } = require('./templates');
+const { getPluginManager } = require('./plugins');
+const { getTemplateLibrary } = require('./template-library');
 const chalk = require('chalk');
+const path = require('path');
 
 // Mode aliases for backwards compatibility and better naming
 const modeAliases = {
@@ -28,10 +31,11 @@ const deprecatedModes = {
 };
 
 /**
- * Get all available templates merged into a single object
- * @returns {Object} All templates keyed by mode name
+ * The groups of modes getAllTemplates merges, in merge order
+ * A later group replaces modes with the same name in earlier ones
+ * @returns {Array<{name: string, modes: Object}>}
  */
-function getAllTemplates() {
+function getModeLayers() {
   // Be careful about order - enhanced modes override standard ones with same name
   const baseTemplates = { ...enhancementModes, ...advancedFrameworks, ...enhancedModes };
   
@@ -45,7 +49,27 @@ function getAllTemplates() {
     'research': enhancedModes.researchOptimized
   };
   
-  return { ...baseTemplates, ...aliases };
+  // Plugin and template file modes can't reuse existing names, so order doesn't matter here
+  const pluginModes = getPluginManager().modes;
+  const reserved = [...Object.keys(baseTemplates), ...Object.keys(pluginModes), ...Object.keys(aliases)];
+  const templateModes = getTemplateLibrary().load(reserved);
+  
+  return [
+    { name: 'enhancementModes', modes: enhancementModes },
+    { name: 'advancedFrameworks', modes: advancedFrameworks },
+    { name: 'enhancedModes', modes: enhancedModes },
+    { name: 'plugins', modes: pluginModes },
+    { name: 'templates', modes: templateModes },
+    { name: 'aliases', modes: aliases }
+  ];
+}
+
+/**
+ * Get all available templates merged into a single object
+ * @returns {Object} All templates keyed by mode name
+ */
+function getAllTemplates() {
+  return Object.assign({}, ...getModeLayers().map(layer => layer.modes));
 }
 
 /**
@@ -105,7 +129,19 @@ function getGroupedModes() {
       key,
       name: framework.name,
       description: framework.description
-    }))
+    })),
+    plugins: Object.entries(getPluginManager().modes).map(([key, mode]) => ({
+      key,
+      name: mode.name,
+      description: `${mode.description} ${chalk.gray(`[${mode.plugin}]`)}`
+    })),
+    templates: Object.entries(getAllTemplates())
+      .filter(([, mode]) => mode.file)
+      .map(([key, mode]) => ({
+        key,
+        name: mode.name,
+        description: `${mode.description} ${chalk.gray(`[${mode.source}: ${path.basename(mode.file)}]`)}`
+      }))
   };
 }
 
@@ -120,6 +156,9 @@ function modeExists(mode) {
 }
 
 module.exports = {
+  modeAliases,
+  deprecatedModes,
+  getModeLayers,
   getAllTemplates,
   getTemplate,
   enhanceWithTemplate,
@@ -1,8 +1,14 @@
 /**
  * Enhancement Templates
  * Standard templates for prompt enhancement
+ * Sections shared between modes are partials in templates/partials/
  */
 
+const { renderBundledPartial } = require('./template-library');
+
+// A shared section nested under a numbered step
+const indented = (name, values) => renderBundledPartial(name, values).replace(/^/gm, '   ');
+
 const enhancementModes = {
   balanced: {
     name: 'Balanced',
@@ -10,14 +16,9 @@ const enhancementModes = {
     enhance: (input) => `Context:
 ${input}
 
-Requirements:
-- Provide a comprehensive and detailed response
-- Structure your answer with clear sections
-- Include relevant examples where appropriate
-- Validate your reasoning
+${renderBundledPartial('response-requirements')}
 
-Expected Output:
-A well-structured response that directly addresses the query with appropriate depth and clarity.`
+${renderBundledPartial('expected-output')}`
   },
   
   ultrathink: {
@@ -67,7 +68,7 @@ Technical Requirements:
 2. Implementation Guidelines:
    - Write clean, readable code
    - Include comprehensive comments
-   - Handle edge cases gracefully
+${indented('edge-cases')}
    - Optimize for performance where relevant
 
 3. Code Structure:
@@ -76,9 +77,7 @@ Technical Requirements:
    - Ensure modularity and reusability
 
 4. Testing Approach:
-   - Include example test cases
-   - Consider boundary conditions
-   - Validate error handling
+${indented('testing-requirements')}
 
 5. Documentation:
    - Explain your approach
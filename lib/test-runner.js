@@ -3,6 +3,9 @@ const path = require('path');
 const yaml = require('yaml');
 const chalk = require('chalk');
 const ora = require('ora');
+const { getPluginManager } = require('./plugins');
+const { runInSandbox } = require('./assertion-sandbox');
+const { findProjectRoot, getProjectPaths, listAssertionModules } = require('./project');
 
 /**
  * Test Runner for Prompt Testing
@@ -17,6 +20,7 @@ class TestRunner {
       skipped: 0,
       total: 0
     };
+    this.assertionModules = {};
   }
 
   /**
@@ -28,6 +32,16 @@ class TestRunner {
     try {
       // Load test file
       const content = await fs.readFile(testFile, 'utf8');
+      
+      // Assertion modules come from the project the test file belongs to
+      const projectRoot = findProjectRoot(path.dirname(path.resolve(testFile)));
+      const { modules, rejected } = projectRoot
+        ? listAssertionModules(getProjectPaths(projectRoot))
+        : { modules: {}, rejected: [] };
+      this.assertionModules = modules;
+      rejected.forEach(({ name, file }) => {
+        console.log(chalk.yellow(`⚠️  Ignoring ${file}: "${name}" is a built-in assertion key, rename the module`));
+      });
       const tests = testFile.endsWith('.yaml') || testFile.endsWith('.yml') 
         ? yaml.parse(content)
         : JSON.parse(content);
@@ -91,11 +105,12 @@ class TestRunner {
       const startTime = Date.now();
       
       if (config.provider === 'template' || config.useAI === false) {
-        // Use template-based enhancement
-        const { getAllTemplates } = require('./templates');
+        // Use template-based enhancement (includes aliases and plugin modes)
+        const { getAllTemplates } = require('./template-utils');
         const templates = getAllTemplates();
         const template = templates[config.mode] || templates.balanced;
-        result = template.enhance(test.prompt);
+        // Template files take their --var values from `variables`
+        result = template.enhance(test.prompt, { variables: { ...config.variables, ...test.variables } });
       } else {
         // Get provider
         const provider = config.provider 
@@ -103,16 +118,16 @@ class TestRunner {
           : this.registry.getProvider();
         
         // Run the prompt
-        result = await provider.enhance(test.prompt, config.mode, {
+        ({ text: result } = await provider.enhance(test.prompt, config.mode, {
           model: config.model,
           ...config.options
-        });
+        }));
       }
       
       const duration = Date.now() - startTime;
       
       // Run assertions
-      const assertionResults = await this.runAssertions(result, test.assertions || []);
+      const assertionResults = await this.runAssertions(result, test.assertions || [], { config, test });
       
       // Check if all assertions passed
       const allPassed = assertionResults.every(a => a.passed);
@@ -161,12 +176,13 @@ class TestRunner {
 
   /**
    * Run assertions on the result
+   * @param {Object} context - { config, test } passed to custom assertions
    */
-  async runAssertions(result, assertions) {
+  async runAssertions(result, assertions, context = {}) {
     const assertionResults = [];
     
     for (const assertion of assertions) {
-      const assertResult = await this.runAssertion(result, assertion);
+      const assertResult = await this.runAssertion(result, assertion, context);
       assertionResults.push(assertResult);
     }
     
@@ -176,7 +192,7 @@ class TestRunner {
   /**
    * Run a single assertion
    */
-  async runAssertion(result, assertion) {
+  async runAssertion(result, assertion, context = {}) {
     // String contains
     if (assertion.contains) {
       const contains = result.includes(assertion.contains);
@@ -253,23 +269,13 @@ class TestRunner {
       };
     }
     
-    // Custom function
+    // Custom function, run in the sandbox
     if (assertion.custom) {
-      try {
-        const fn = eval(assertion.custom);
-        const passed = fn(result);
-        return {
-          passed,
-          description: assertion.description || 'Custom assertion',
-          reason: passed ? '' : 'Custom assertion failed'
-        };
-      } catch (error) {
-        return {
-          passed: false,
-          description: assertion.description || 'Custom assertion',
-          reason: `Error in custom assertion: ${error.message}`
-        };
-      }
+      return this.runSandboxedAssertion({
+        kind: 'inline',
+        source: String(assertion.custom),
+        name: 'custom assertion'
+      }, result, assertion, context, assertion.description || 'Custom assertion');
     }
     
     // Quality checks
@@ -282,6 +288,25 @@ class TestRunner {
       };
     }
     
+    // Assertion types contributed by plugins
+    const pluginAssertions = getPluginManager().assertions;
+    const pluginType = Object.keys(assertion).find(key => pluginAssertions[key]);
+    if (pluginType) {
+      return await this.runPluginAssertion(pluginType, pluginAssertions[pluginType], result, assertion);
+    }
+    
+    // Assertion modules from the project's .enhance/assertions, also sandboxed
+    const moduleType = Object.keys(assertion).find(key => this.assertionModules[key]);
+    if (moduleType) {
+      const file = this.assertionModules[moduleType];
+      return this.runSandboxedAssertion({
+        kind: 'module',
+        source: await fs.readFile(file, 'utf8'),
+        name: file,
+        value: assertion[moduleType]
+      }, result, assertion, context, assertion.description || `${moduleType}: ${JSON.stringify(assertion[moduleType])}`);
+    }
+    
     return {
       passed: true,
       description: 'Unknown assertion',
@@ -289,6 +314,64 @@ class TestRunner {
     };
   }
 
+  /**
+   * Run a custom assertion or assertion module in the sandbox
+   */
+  async runSandboxedAssertion({ kind, source, name, value }, result, assertion, context, description) {
+    const outcome = await runInSandbox({
+      kind,
+      source,
+      name,
+      timeout: assertion.timeout,
+      data: { result, config: context.config || {}, test: context.test || {}, assertion, value }
+    });
+    
+    if (outcome.error) {
+      return {
+        passed: false,
+        description,
+        reason: `Error in ${kind === 'module' ? path.basename(name) : 'custom assertion'}: ${outcome.error}`
+      };
+    }
+    
+    return {
+      passed: outcome.passed,
+      description,
+      reason: outcome.reason || (outcome.passed ? '' : `${kind === 'module' ? 'Assertion module' : 'Custom assertion'} failed`)
+    };
+  }
+
+  /**
+   * Run an assertion type registered by a plugin
+   */
+  async runPluginAssertion(type, fn, result, assertion) {
+    const description = assertion.description || `${type}: ${JSON.stringify(assertion[type])}`;
+    
+    try {
+      const outcome = await fn(result, assertion[type], assertion);
+      
+      if (typeof outcome === 'boolean') {
+        return {
+          passed: outcome,
+          description,
+          reason: outcome ? '' : `Assertion "${type}" failed`
+        };
+      }
+      
+      return {
+        passed: !!outcome?.passed,
+        description: outcome?.description || description,
+        reason: outcome?.reason || (outcome?.passed ? '' : `Assertion "${type}" failed`)
+      };
+    } catch (error) {
+      return {
+        passed: false,
+        description,
+        reason: `Error in ${type} assertion: ${error.message}`
+      };
+    }
+  }
+
   /**
    * Check quality metrics
    */
@@ -0,0 +1,130 @@
+/**
+ * Text Diff
+ * Line and word diffs (longest common subsequence) for comparing prompts
+ */
+
+// Above this many token pairs, skip LCS and show a full replacement
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Diff two token sequences
+ * @returns {Array<{type: ' '|'-'|'+', value: string}>}
+ */
+function diffSequences(a, b) {
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(value => ({ type: '-', value })),
+      ...b.map(value => ({ type: '+', value }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: ' ', value: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: '-', value: a[i++] });
+    } else {
+      result.push({ type: '+', value: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: '-', value: a[i++] });
+  while (j < b.length) result.push({ type: '+', value: b[j++] });
+
+  return result;
+}
+
+/**
+ * Diff two texts line by line
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(oldText, newText) {
+  return diffSequences(String(oldText).split('\n'), String(newText).split('\n'))
+    .map(({ type, value }) => ({ type, line: value }));
+}
+
+/**
+ * Diff two texts word by word
+ * Whitespace runs are kept as tokens, and consecutive tokens of the same
+ * type are merged so each change is one span
+ * @returns {Array<{type: ' '|'-'|'+', text: string}>}
+ */
+function diffWords(oldText, newText) {
+  const tokenize = (text) => String(text).match(/\s+|[^\s]+/g) || [];
+  const spans = [];
+
+  for (const { type, value } of diffSequences(tokenize(oldText), tokenize(newText))) {
+    const last = spans[spans.length - 1];
+    if (last && last.type === type) {
+      last.text += value;
+    } else {
+      spans.push({ type, text: value });
+    }
+  }
+
+  return spans;
+}
+
+/**
+ * Format a diff with a few lines of context around each change
+ * @param {Object} options - { context, colorize: (type, text) => string }
+ * @returns {string}
+ */
+function formatDiff(oldText, newText, options = {}) {
+  const context = options.context ?? 3;
+  const colorize = options.colorize || ((type, text) => text);
+  const lines = diffLines(oldText, newText);
+
+  // Keep lines within `context` of a change
+  const keep = lines.map(() => false);
+  lines.forEach((entry, index) => {
+    if (entry.type === ' ') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(lines.length - 1, index + context); k++) {
+      keep[k] = true;
+    }
+  });
+
+  const output = [];
+  let skipped = false;
+  lines.forEach((entry, index) => {
+    if (!keep[index]) {
+      skipped = true;
+      return;
+    }
+    if (skipped) {
+      output.push(colorize('@', '@@ ... @@'));
+      skipped = false;
+    }
+    output.push(colorize(entry.type, `${entry.type} ${entry.line}`));
+  });
+
+  return output.join('\n');
+}
+
+/**
+ * Count changed lines between two texts
+ */
+function countChanges(oldText, newText) {
+  return diffLines(oldText, newText).filter(entry => entry.type !== ' ').length;
+}
+
+module.exports = {
+  diffLines,
+  diffWords,
+  formatDiff,
+  countChanges
+};
@@ -0,0 +1,122 @@
+/**
+ * Tokenizers
+ * Count tokens with the BPE vocabulary of a model's family.
+ * Vocabularies ship with gpt-tokenizer, so counting works offline.
+ *
+ * Families without a public vocabulary are counted with the closest
+ * available BPE encoding and marked as approximate.
+ */
+
+// Encodings are large, load them on first use
+const encodings = {};
+
+function getEncoding(name) {
+  if (!encodings[name]) {
+    encodings[name] = require(`gpt-tokenizer/encoding/${name}`);
+  }
+  return encodings[name];
+}
+
+const builtInTokenizers = {
+  o200k: {
+    description: 'OpenAI o200k_base (GPT-4o, GPT-4.1, GPT-5, o-series)',
+    exact: true,
+    match: /gpt-4o|gpt-4\.[15]|gpt-5|chatgpt|(^|\/)o\d/,
+    count: (text) => getEncoding('o200k_base').countTokens(text)
+  },
+
+  cl100k: {
+    description: 'OpenAI cl100k_base (GPT-4, GPT-3.5, embeddings)',
+    exact: true,
+    match: /gpt-4|gpt-3\.5|text-embedding/,
+    count: (text) => getEncoding('cl100k_base').countTokens(text)
+  },
+
+  llama3: {
+    description: 'Llama 3 family (cl100k-based vocabulary, approximate)',
+    exact: false,
+    match: /llama-?3/,
+    count: (text) => getEncoding('cl100k_base').countTokens(text)
+  },
+
+  claude: {
+    description: 'Anthropic Claude (no public vocabulary, approximated with cl100k_base)',
+    exact: false,
+    match: /claude/,
+    count: (text) => getEncoding('cl100k_base').countTokens(text)
+  },
+
+  sentencepiece: {
+    description: 'SentencePiece models (Llama 2, Mistral, Gemma, Phi; approximated with cl100k_base)',
+    exact: false,
+    match: /llama-?2|codellama|mistral|mixtral|gemma|phi|flan-t5/,
+    // SentencePiece vocabularies split text into roughly 10% more tokens
+    count: (text) => Math.ceil(getEncoding('cl100k_base').countTokens(text) * 1.1)
+  },
+
+  heuristic: {
+    description: 'Character-based estimate (1 token per 4 characters)',
+    exact: false,
+    match: () => false,
+    count: (text) => Math.ceil(text.length / 4)
+  }
+};
+
+// Used when no family matches
+const DEFAULT_TOKENIZER = 'cl100k';
+
+/**
+ * Get all tokenizers keyed by name, including plugin tokenizers
+ * Plugin tokenizers are checked first so they can claim specific models
+ */
+function getAllTokenizers() {
+  const { getPluginManager } = require('./plugins');
+  return { ...getPluginManager().tokenizers, ...builtInTokenizers };
+}
+
+/**
+ * Resolve the tokenizer for a model
+ * @param {string} model - Model id, e.g. 'gpt-4o-mini' or 'llama3.2:1b'
+ * @returns {{name: string, exact: boolean, count: Function}}
+ */
+function getTokenizer(model) {
+  const tokenizers = getAllTokenizers();
+  const id = String(model || '').toLowerCase();
+
+  if (id) {
+    for (const [name, tokenizer] of Object.entries(tokenizers)) {
+      const matches = typeof tokenizer.match === 'function'
+        ? tokenizer.match(id)
+        : tokenizer.match.test(id);
+      if (matches) {
+        return { name, ...tokenizer };
+      }
+    }
+  }
+
+  return { name: DEFAULT_TOKENIZER, ...tokenizers[DEFAULT_TOKENIZER], exact: false };
+}
+
+/**
+ * Count tokens in text for a model
+ * Falls back to the character estimate if a tokenizer fails
+ * @param {string} text - Text to count
+ * @param {string} model - Model id
+ * @returns {number}
+ */
+function countTokens(text, model) {
+  if (!text) return 0;
+
+  try {
+    return getTokenizer(model).count(text);
+  } catch (error) {
+    return builtInTokenizers.heuristic.count(text);
+  }
+}
+
+module.exports = {
+  builtInTokenizers,
+  getAllTokenizers,
+  getTokenizer,
+  countTokens
+};
@@ -4,6 +4,8 @@ const Table = require('cli-table3');
 const gradient = require('gradient-string');
 const figlet = require('figlet');
 const boxen = require('boxen');
+const chalk = require('chalk');
+const { diffWords } = require('./text-diff');
 
 /**
  * Enhanced UI Utilities for CLI
@@ -291,6 +293,33 @@ class UIUtils {
     }
   }
 
+  /**
+   * Word-level diff of two texts
+   * Falls back to [-removed-]{+added+} markers when colors are off
+   */
+  displayDiff(oldText, newText, labels = {}) {
+    const theme = this.theme.getTheme();
+    const spans = diffWords(oldText, newText);
+    const plain = chalk.level === 0;
+    
+    const render = ({ type, text }) => {
+      if (type === '-') return plain ? `[-${text}-]` : theme.colors.error.strikethrough(text);
+      if (type === '+') return plain ? `{+${text}+}` : theme.colors.success.underline(text);
+      return text;
+    };
+    
+    const count = (type) => spans
+      .filter(span => span.type === type)
+      .reduce((sum, span) => sum + span.text.split(/\s+/).filter(Boolean).length, 0);
+    
+    console.log(theme.colors.error(`--- ${labels.old || 'old'}`));
+    console.log(theme.colors.success(`+++ ${labels.new || 'new'}`));
+    console.log();
+    console.log(spans.map(render).join(''));
+    console.log();
+    console.log(theme.colors.muted(`${count('-')} words removed, ${count('+')} words added`));
+  }
+
   /**
    * Interactive menu with animations
    */
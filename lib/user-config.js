@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getProject } = require('./project');
+
+/**
+ * User Configuration
+ * Persists user preferences (default provider, mode, model, AI usage)
+ * across CLI invocations. Inside a project, settings in .enhance/config.json
+ * apply over the user's.
+ */
+
+// Supported settings and their types
+const settingDefinitions = {
+  defaultProvider: {
+    type: 'string',
+    description: 'Provider used when --provider is not given'
+  },
+  defaultMode: {
+    type: 'string',
+    description: 'Enhancement mode used when --mode is not given (skips smart detection)'
+  },
+  defaultModel: {
+    type: 'string',
+    description: 'Model used when --model is not given'
+  },
+  useAI: {
+    type: 'boolean',
+    default: true,
+    description: 'Use AI enhancement (false = templates only)'
+  },
+  fallbackOrder: {
+    type: 'list',
+    description: 'Providers to try, in order, when the preferred one fails (comma-separated)'
+  },
+  contextPolicy: {
+    type: 'string',
+    choices: ['chunk', 'truncate', 'warn'],
+    default: 'chunk',
+    description: 'What to do with prompts longer than the model\'s context window'
+  },
+  maxRetries: {
+    type: 'number',
+    description: 'Retries per provider for transient errors (connection, timeout, 429, 5xx)'
+  }
+};
+
+class UserConfig {
+  constructor(configPath = null, projectConfigPath = undefined) {
+    this.configPath = configPath
+      || process.env.CLAUDE_ENHANCER_CONFIG
+      || path.join(os.homedir(), '.config', 'claude-enhancer', 'config.json');
+    this.projectConfigPath = projectConfigPath !== undefined
+      ? projectConfigPath
+      : (getProject()?.config || null);
+    this.values = {};
+    this.projectValues = {};
+    this.load();
+  }
+
+  /**
+   * Load saved settings
+   * Synchronous so the provider registry can read them at startup
+   */
+  load() {
+    this.values = readSettings(this.configPath);
+    this.projectValues = this.projectConfigPath ? readSettings(this.projectConfigPath) : {};
+  }
+
+  /**
+   * Save current settings
+   * @param {boolean} project - Save the project's settings instead of the user's
+   */
+  async saveConfig(project = false) {
+    const configPath = project ? this.projectConfigPath : this.configPath;
+    await fs.promises.mkdir(path.dirname(configPath), { recursive: true });
+
+    // Project settings are committed, so leave out the timestamp
+    const config = project
+      ? { settings: this.projectValues }
+      : { settings: this.values, lastUpdated: new Date().toISOString() };
+
+    await fs.promises.writeFile(configPath, JSON.stringify(config, null, 2) + (project ? '\n' : ''));
+  }
+
+  /**
+   * Get a setting: the project's, then the user's, then its default
+   */
+  get(key) {
+    if (this.projectValues[key] !== undefined) {
+      return this.projectValues[key];
+    }
+    if (this.values[key] !== undefined) {
+      return this.values[key];
+    }
+    return settingDefinitions[key]?.default;
+  }
+
+  /**
+   * Check whether a setting was explicitly set
+   */
+  has(key) {
+    return this.projectValues[key] !== undefined || this.values[key] !== undefined;
+  }
+
+  /**
+   * Where a setting's value comes from
+   * @returns {'project'|'user'|'default'|null}
+   */
+  getSource(key) {
+    if (this.projectValues[key] !== undefined) return 'project';
+    if (this.values[key] !== undefined) return 'user';
+    return settingDefinitions[key]?.default !== undefined ? 'default' : null;
+  }
+
+  /**
+   * Set and persist a setting
+   * @param {string} key - Setting name
+   * @param {*} value - Raw value (strings are parsed by setting type)
+   * @param {Object} options - { project: store in .enhance/config.json }
+   * @returns {*} The stored value
+   */
+  async set(key, value, options = {}) {
+    const definition = this.getDefinition(key);
+    const parsed = this.parseValue(definition, value);
+
+    this.getScope(options.project)[key] = parsed;
+    await this.saveConfig(Boolean(options.project));
+    return parsed;
+  }
+
+  /**
+   * Remove a setting and persist
+   * @param {Object} options - { project: remove from .enhance/config.json }
+   * @returns {boolean} True if the setting was present
+   */
+  async unset(key, options = {}) {
+    this.getDefinition(key);
+    const values = this.getScope(options.project);
+
+    if (values[key] === undefined) {
+      return false;
+    }
+
+    delete values[key];
+    await this.saveConfig(Boolean(options.project));
+    return true;
+  }
+
+  /**
+   * Settings object for the user or the project
+   */
+  getScope(project) {
+    if (!project) return this.values;
+    if (!this.projectConfigPath) {
+      throw new Error('Not inside a project. Run "enhance project init" to create .enhance/');
+    }
+    return this.projectValues;
+  }
+
+  /**
+   * List all settings with current values
+   */
+  list() {
+    return Object.entries(settingDefinitions).map(([key, definition]) => ({
+      key,
+      value: this.get(key),
+      isSet: this.has(key),
+      source: this.getSource(key),
+      type: definition.type,
+      description: definition.description
+    }));
+  }
+
+  /**
+   * Get a setting definition or throw for unknown keys
+   */
+  getDefinition(key) {
+    const definition = settingDefinitions[key];
+    if (!definition) {
+      throw new Error(`Unknown setting '${key}'. Available settings: ${Object.keys(settingDefinitions).join(', ')}`);
+    }
+    return definition;
+  }
+
+  /**
+   * Parse a raw value for a setting
+   */
+  parseValue(definition, value) {
+    if (definition.type === 'boolean') {
+      if (typeof value === 'boolean') return value;
+      const normalized = String(value).toLowerCase();
+      if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+      if (['false', 'no', 'off', '0'].includes(normalized)) return false;
+      throw new Error(`Expected true or false, got '${value}'`);
+    }
+
+    if (definition.type === 'number') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`Expected a non-negative whole number, got '${value}'`);
+      }
+      return number;
+    }
+
+    if (definition.type === 'list') {
+      const items = Array.isArray(value) ? value : String(value).split(',');
+      const list = items.map(item => String(item).trim()).filter(Boolean);
+      if (list.length === 0) {
+        throw new Error('Value cannot be empty');
+      }
+      return list;
+    }
+
+    const text = String(value).trim();
+    if (!text) {
+      throw new Error('Value cannot be empty');
+    }
+    if (definition.choices && !definition.choices.includes(text)) {
+      throw new Error(`Expected one of ${definition.choices.join(', ')}, got '${text}'`);
+    }
+    return text;
+  }
+}
+
+/**
+ * Read the settings from a config file
+ * Missing or unreadable files have no settings
+ */
+function readSettings(configPath) {
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return config.settings || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+module.exports = {
+  getUserConfig: () => {
+    if (!instance) {
+      instance = new UserConfig();
+    }
+    return instance;
+  },
+  UserConfig,
+  settingDefinitions
+};